@@ -23,7 +23,7 @@
 
 
 /*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50, regexp: true */
-/*global define, brackets, $, ServiceBuilder */
+/*global define, brackets, $, ServiceBuilder, TypeScript */
 
 define(function (require, exports, module) {
     "use strict";
@@ -33,6 +33,17 @@ define(function (require, exports, module) {
     var TypeScriptUtils = require("TypeScript/TypeScriptUtils"),
         PathUtils       = require("PathUtils");
 
+    /**
+     * Node types of the declarations which can enclose others.
+     * @type {Array.<number>}
+     */
+    var CONTAINER_NODE_TYPES = [
+        TypeScript.NodeType.ModuleDeclaration,
+        TypeScript.NodeType.ClassDeclaration,
+        TypeScript.NodeType.InterfaceDeclaration,
+        TypeScript.NodeType.FuncDecl
+    ];
+
     /**
      * Returns a reference matching regular expression. Recognizes the forms:
      * ///<reference path='file.ts'/>
@@ -65,6 +76,151 @@ define(function (require, exports, module) {
         return referencesObj;
     }
 
+    /**
+     * Converts an index in the given text to a brackets position.
+     * @param {!string} text
+     * @param {!number} index
+     * @returns {{line: number, ch: number}}
+     */
+    function getPosFromTextIndex(text, index) {
+        var lines = text.substr(0, index).split("\n");
+        return {
+            line: lines.length - 1,
+            ch: lines[lines.length - 1].length
+        };
+    }
+
+    /**
+     * Returns the reference directives of the given contents of a typescript file,
+     * with the relative path each one contains and the range of this path.
+     * @param {!string} content Content of the file
+     * @returns {Array.<{relativePath: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}
+     */
+    function getReferenceDirectives(content) {
+        var directives = [],
+            regExp = getReferenceRegExp(),
+            match,
+            index;
+
+        while ((match = regExp.exec(content)) !== null) {
+            index = match.index + match[0].lastIndexOf(match[1]);
+            directives.push({
+                relativePath: match[1],
+                range: {
+                    start: getPosFromTextIndex(content, index),
+                    end: getPosFromTextIndex(content, index + match[1].length)
+                }
+            });
+        }
+        return directives;
+    }
+
+    /**
+     * Returns the index of the given identifier name in the given text, or -1 if the
+     * text doesn't contain it.
+     * @param {!string} text
+     * @param {!string} name
+     * @returns {number}
+     * @private
+     */
+    function _getNameIndex(text, name) {
+        var regExp = new RegExp("(^|[^\\w$])" + name.replace(/\$/g, "\\$") + "(?![\\w$])"),
+            match = regExp.exec(text);
+        return match ? match.index + match[1].length : -1;
+    }
+
+    /**
+     * Returns whether the given AST, at the given index of the given AST path, is
+     * the called function name of a call expression, like "f" in "f()" or "o.f()".
+     * @param {!Array.<*>} asts AST path
+     * @param {!number} index Index of the name in the AST path
+     * @returns {boolean}
+     * @private
+     */
+    function _isCallTarget(asts, index) {
+        var callee = asts[index];
+        if (index > 0 && asts[index - 1].nodeType === TypeScript.NodeType.Dot && asts[index - 1].operand2 === callee) {
+            callee = asts[--index];
+        }
+        return index > 0 && asts[index - 1].nodeType === TypeScript.NodeType.Call && asts[index - 1].target === callee;
+    }
+
+    /**
+     * Returns the doc comment ending just before the given index of the given text,
+     * skipping the whitespaces and the modifiers like "export" or "public", or null
+     * if there is none.
+     * @param {!string} text
+     * @param {!number} index
+     * @returns {?string}
+     * @private
+     */
+    function _getDocCommentBefore(text, index) {
+        var before = text.substring(0, index),
+            previous = null,
+            start;
+
+        while (before !== previous) {
+            previous = before;
+            before = before.replace(/\s+$/, "").replace(/\b(export|declare|public|private|static)$/, "");
+        }
+        start = before.lastIndexOf("/**");
+        if (start === -1 || before.substr(-2) !== "*/") {
+            return null;
+        }
+        return before.substring(start);
+    }
+
+    /**
+     * Parses the given doc comment into its description, with the paragraphs
+     * separated by an empty line, and its @param and @returns sections. The types
+     * given in the tags are ignored, they are the ones of the signature.
+     * @param {!string} comment
+     * @returns {{description: string, params: Array.<{name: string, description: string}>, returns: ?string}}
+     * @private
+     */
+    function _parseDocComment(comment) {
+        var result = {description: "", params: [], returns: null},
+            paragraphs = [[]],
+            section = null;
+
+        comment.replace(/^\/\*\*/, "").replace(/\*\/$/, "").split("\n").forEach(function (line) {
+            var text = line.replace(/^\s*\*?\s?/, "").replace(/\s+$/, ""),
+                tag = /^@(\w+)\s*(?:\{[^}]*\}\s*)?(.*)$/.exec(text),
+                param;
+
+            if (tag) {
+                section = null;
+                if (tag[1] === "param") {
+                    param = /^(\S*)\s*(.*)$/.exec(tag[2]);
+                    section = {name: param[1], description: param[2]};
+                    result.params.push(section);
+                } else if (tag[1] === "returns" || tag[1] === "return") {
+                    section = {description: tag[2]};
+                    result.returns = section;
+                } else {
+                    // Other tags are not rendered
+                    section = {description: ""};
+                }
+            } else if (section) {
+                if (text) {
+                    section.description += (section.description ? " " : "") + text.trim();
+                }
+            } else if (text) {
+                paragraphs[paragraphs.length - 1].push(text);
+            } else if (paragraphs[paragraphs.length - 1].length > 0) {
+                paragraphs.push([]);
+            }
+        });
+
+        result.description = paragraphs.filter(function (lines) {
+            return lines.length > 0;
+        }).map(function (lines) {
+            return lines.join(" ");
+        }).join("\n\n");
+        result.returns = result.returns && result.returns.description;
+        return result;
+    }
+
     /**
      * Returns the script name that will be used by typescript to identify this document.
      * @param {!Document} doc
@@ -238,6 +394,117 @@ define(function (require, exports, module) {
         return this.lsh.scripts[symbol.unitIndex].name;
     };
 
+    /**
+     * Returns the script corresponding to the given typescript compiler unit index,
+     * like the one of a symbol.
+     * @param {!number} unitIndex Compiler unit index
+     * @returns {?{name: string, content: string}}
+     * @private
+     */
+    TypeScriptDocument.prototype._getScriptFromUnitIndex = function (unitIndex) {
+        var hostUnitIndex = this.langSvc.compilerState.mapToHostUnitIndex(unitIndex);
+        return this.lsh.scripts[hostUnitIndex] || null;
+    };
+
+    /**
+     * Returns the script name corresponding to the given typescript compiler unit index,
+     * like the one of a symbol. The unit indexes of the error entries and of the
+     * language service results are host indexes, already mapped: they index the
+     * scripts directly.
+     * @param {!number} unitIndex Compiler unit index
+     * @returns {?string}
+     */
+    TypeScriptDocument.prototype.getScriptNameFromUnitIndex = function (unitIndex) {
+        var script = this._getScriptFromUnitIndex(unitIndex);
+        return script ? script.name : null;
+    };
+
+    /**
+     * Returns the script names declaring the symbols used by the script of this
+     * document, as an hash table with each script name as property.
+     * @returns {Object.<string, boolean>}
+     */
+    TypeScriptDocument.prototype.getUsedScriptNames = function () {
+        var that = this,
+            scriptNames = {};
+
+        TypeScript.getAstWalkerFactory().walk(this.getScriptAST(), function (ast) {
+            if (ast && ast.nodeType === TypeScript.NodeType.Name && ast.sym) {
+                var scriptName = that.getScriptNameFromUnitIndex(ast.sym.unitIndex);
+                if (scriptName) {
+                    scriptNames[scriptName] = true;
+                }
+            }
+            return ast;
+        });
+        return scriptNames;
+    };
+
+    /**
+     * Returns the category of the given typescript error entry:
+     * "syntax" for a parse error, "style" for a style warning or "semantic" for a
+     * type check error. The error collector is keyed by compiler unit index while
+     * the error entry has a host unit index and is a copy of the collected one.
+     * @param {!ErrorEntry} error
+     * @returns {string}
+     * @private
+     */
+    TypeScriptDocument.prototype._getErrorCategory = function (error) {
+        var compilerState = this.langSvc.compilerState,
+            script = this.lsh.scripts[error.unitIndex],
+            unitErrors = script && compilerState.errorCollector.fileMap[compilerState.getUnitIndex(script.name)],
+            isParseError = unitErrors && unitErrors.parseErrors.some(function (parseError) {
+                return parseError.minChar === error.minChar && parseError.limChar === error.limChar &&
+                    parseError.message === error.message;
+            });
+
+        if (isParseError) {
+            return "syntax";
+        }
+        if (error.message.indexOf("STYLE:") === 0) {
+            return "style";
+        }
+        return "semantic";
+    };
+
+    /**
+     * Converts a typescript error entry to a brackets friendly error.
+     * @param {!ErrorEntry} error
+     * @returns {{message: string, category: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}}
+     * @private
+     */
+    TypeScriptDocument.prototype._getErrorInfo = function (error) {
+        var script = this.lsh.scripts[error.unitIndex],
+            scriptName = script ? script.name : null;
+        return {
+            message: error.message,
+            category: this._getErrorCategory(error),
+            range: this.getRange(error.minChar, error.limChar, scriptName),
+            scriptName: scriptName
+        };
+    };
+
+    /**
+     * Returns the compilation errors of this document script.
+     * @param {!number} maxCount Maximum number of errors returned
+     * @returns {Array.<{message: string, category: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    TypeScriptDocument.prototype.getScriptErrors = function (maxCount) {
+        var errors = this.langSvc.getScriptErrors(this.scriptName, maxCount);
+        return errors.map(this._getErrorInfo, this);
+    };
+
+    /**
+     * Returns the compilation errors of all the scripts of this document (this
+     * document script and its referenced ones).
+     * @param {!number} maxCount Maximum number of errors returned
+     * @returns {Array.<{message: string, category: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    TypeScriptDocument.prototype.getErrors = function (maxCount) {
+        var errors = this.langSvc.getErrors(maxCount);
+        return errors.map(this._getErrorInfo, this);
+    };
+
     /**
      * Returns, if there is one, the declaration information corresponding to the
      * given symbol from this document.
@@ -260,6 +527,586 @@ define(function (require, exports, module) {
         };
     };
 
+    /**
+     * Returns, if there is one, the definition of the symbol at the given brackets
+     * position in this document. The range is the one of the declared name, the
+     * declaration range is the one of the whole declaration.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {?{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}}
+     */
+    TypeScriptDocument.prototype.getDefinitionAtPosition = function (pos) {
+        var definition = this.langSvc.getDefinitionAtPosition(this.scriptName, this.getIndexFromPos(pos));
+        if (!definition || !this.lsh.scripts[definition.unitIndex]) {
+            return null;
+        }
+
+        var script = this.lsh.scripts[definition.unitIndex];
+        return {
+            name: definition.name,
+            kind: definition.kind,
+            range: this._getNameRange(definition, script),
+            declarationRange: this.getRange(definition.minChar, definition.limChar, script.name),
+            scriptName: script.name
+        };
+    };
+
+    /**
+     * Returns, if there is one, the type information of the symbol at the given brackets
+     * position in this document: its full type name, its kind, its modifiers like
+     * "export", "public" or "static" and the full name of its container, empty at the
+     * top level. The range is the one of the symbol name at the position.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {?{name: string, type: string, kind: string, modifiers: Array.<string>, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}}
+     */
+    TypeScriptDocument.prototype.getTypeInfoAtPosition = function (pos) {
+        var langSvc = this.langSvc,
+            index = this.getIndexFromPos(pos),
+            sym = this.getSymbolAtIndex(index),
+            typeInfo;
+
+        // Keywords and literals have no declared symbol
+        if (!sym || !sym.declAST) {
+            return null;
+        }
+        typeInfo = langSvc.getTypeAtPosition(this.scriptName, index);
+        if (!typeInfo) {
+            return null;
+        }
+
+        var modifiers = langSvc.getSymbolElementKindModifiers(sym);
+        return {
+            name: sym.name,
+            type: typeInfo.memberName.toString(),
+            kind: langSvc.getSymbolElementKind(sym),
+            modifiers: modifiers ? modifiers.split(",") : [],
+            containerName: (sym.container && sym.container.name !== TypeScript.globalId) ?
+                    langSvc.getSymbolContainerName(sym) : "",
+            range: this.getRange(typeInfo.minChar, typeInfo.limChar, this.scriptName)
+        };
+    };
+
+    /**
+     * Returns, if the given brackets position is in the arguments of a call or a "new"
+     * expression of this document, the signatures of the called function: all its
+     * overloads, the index of the one resolved by typescript and the index of the
+     * argument at the position. The range is the one of the arguments, parentheses
+     * included.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {?{signatures: Array.<{name: string, parameters: Array.<{name: string, type: string, isOptional: boolean, isVariable: boolean}>, returnType: string}>, activeSignature: number, activeParameter: number, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}}
+     */
+    TypeScriptDocument.prototype.getSignatureHelpAtPosition = function (pos) {
+        var signatureInfo = this.langSvc.getSignatureAtPosition(this.scriptName, this.getIndexFromPos(pos));
+        if (!signatureInfo || signatureInfo.formal.signatureGroup.length === 0) {
+            return null;
+        }
+
+        var formal = signatureInfo.formal,
+            actual = signatureInfo.actual;
+        return {
+            signatures: formal.signatureGroup.map(function (signature) {
+                return {
+                    name: formal.name,
+                    parameters: signature.parameters.map(function (parameter) {
+                        return {
+                            name: parameter.name,
+                            type: parameter.type,
+                            isOptional: parameter.isOptional,
+                            isVariable: parameter.isVariable
+                        };
+                    }),
+                    returnType: signature.returnType
+                };
+            }),
+            // The resolved signature is unknown while the arguments don't match any
+            activeSignature: Math.max(0, Math.min(signatureInfo.activeFormal, formal.signatureGroup.length - 1)),
+            activeParameter: Math.max(0, actual.currentParameter),
+            range: this.getRange(actual.openParenMinChar, actual.closeParenLimChar, this.scriptName)
+        };
+    };
+
+    /**
+     * Returns the doc comment of the declaration of the given symbol, or null if it
+     * has none. The parser doesn't keep the comments of the class members, they are
+     * then taken from the text preceding the declaration.
+     * @param {!*} sym Symbol with a declaration
+     * @returns {?string}
+     * @private
+     */
+    TypeScriptDocument.prototype._getDocComment = function (sym) {
+        var declAST = sym.declAST,
+            script = this._getScriptFromUnitIndex(sym.unitIndex),
+            comments = (declAST.preComments || []).filter(function (comment) {
+                return comment.content.indexOf("/**") === 0;
+            });
+
+        if (comments.length > 0) {
+            return comments[comments.length - 1].content;
+        }
+        return script ? _getDocCommentBefore(script.content, declAST.minChar) : null;
+    };
+
+    /**
+     * Returns, if there is one, the documentation of the symbol at the given brackets
+     * position in this document, which can be declared in a referenced script: its
+     * type information, the script name and the range of its declared name, and its
+     * parsed doc comment. The description is empty and there are no sections if the
+     * symbol has no doc comment.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {?{name: string, type: string, kind: string, modifiers: Array.<string>, containerName: string, scriptName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, description: string, params: Array.<{name: string, description: string}>, returns: ?string}}
+     */
+    TypeScriptDocument.prototype.getDocumentationAtPosition = function (pos) {
+        var typeInfo = this.getTypeInfoAtPosition(pos),
+            sym = typeInfo && this.getSymbolAtPosition(pos),
+            script = sym && this._getScriptFromUnitIndex(sym.unitIndex);
+
+        if (!script) {
+            return null;
+        }
+
+        var comment = this._getDocComment(sym),
+            docs = comment ? _parseDocComment(comment) : {description: "", params: [], returns: null};
+        return {
+            name: typeInfo.name,
+            type: typeInfo.type,
+            kind: typeInfo.kind,
+            modifiers: typeInfo.modifiers,
+            containerName: typeInfo.containerName,
+            scriptName: script.name,
+            range: this._getNameRange({name: sym.name, minChar: sym.declAST.minChar, limChar: sym.declAST.limChar},
+                                      script),
+            description: docs.description,
+            params: docs.params,
+            returns: docs.returns
+        };
+    };
+
+    /**
+     * Returns the range of the name in the given declaration of the given script,
+     * or the range of the whole declaration if the name can't be found.
+     * @param {!{name: string, minChar: number, limChar: number}} declaration
+     * @param {!{name: string, content: string}} script
+     * @returns {{start: {line: number, ch: number}, end: {line: number, ch: number}}}
+     * @private
+     */
+    TypeScriptDocument.prototype._getNameRange = function (declaration, script) {
+        var nameIndex = _getNameIndex(script.content.substring(declaration.minChar, declaration.limChar),
+                                      declaration.name);
+        if (nameIndex === -1) {
+            return this.getRange(declaration.minChar, declaration.limChar, script.name);
+        }
+        return this.getRange(declaration.minChar + nameIndex,
+                             declaration.minChar + nameIndex + declaration.name.length, script.name);
+    };
+
+    /**
+     * Returns the declarations of this document script, or of the referenced script
+     * identified by the given script name, in the order of the source: modules,
+     * classes, interfaces, their members, functions and variables. The modifiers are
+     * the ones like "export", "public" or "static". The range is the one of the
+     * declared name, the declaration range is the one of the whole declaration.
+     * @param {string=} scriptName Script name of a referenced document, this document
+     *      one by default
+     * @returns {Array.<{name: string, kind: string, modifiers: Array.<string>, containerName: string, containerKind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}
+     */
+    TypeScriptDocument.prototype.getLexicalStructure = function (scriptName) {
+        var that = this;
+
+        return this.langSvc.getScriptLexicalStructure(scriptName || this.scriptName).map(function (item) {
+            var script = that.lsh.scripts[item.unitIndex];
+            return {
+                name: item.name,
+                kind: item.kind,
+                modifiers: item.kindModifiers ? item.kindModifiers.split(",") : [],
+                containerName: item.containerName,
+                containerKind: item.containerKind,
+                range: that._getNameRange(item, script),
+                declarationRange: that.getRange(item.minChar, item.limChar, script.name)
+            };
+        });
+    };
+
+    /**
+     * Returns the named modules, classes, interfaces and functions enclosing the
+     * given brackets position in this document, outermost first. A dotted module
+     * name gives a container for each of its parts. The container name is the full
+     * name of the enclosing declaration, empty at the top level. The range is the
+     * one of the declared name, the declaration range is the one of the whole
+     * declaration.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {Array.<{name: string, kind: string, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}
+     */
+    TypeScriptDocument.prototype.getContainersAtPosition = function (pos) {
+        var langSvc = this.langSvc,
+            path = langSvc.getAstPathToPosition(this.getScriptAST(), this.getIndexFromPos(pos),
+                                                TypeScript.GetAstPathOptions.EdgeInclusive),
+            containers = [],
+            i,
+            ast,
+            sym;
+
+        for (i = 0; i <= path.top; i++) {
+            ast = path.asts[i];
+            sym = ast.type && ast.type.symbol;
+            // Function expressions have no name of their own
+            if (CONTAINER_NODE_TYPES.indexOf(ast.nodeType) !== -1 && ast.name && sym) {
+                containers.push({
+                    name: ast.name.actualText,
+                    kind: langSvc.getSymbolElementKind(sym),
+                    containerName: (sym.container && sym.container.name !== TypeScript.globalId) ?
+                            langSvc.getSymbolContainerName(sym) : "",
+                    range: this.getRange(ast.name.minChar, ast.name.limChar, this.scriptName),
+                    declarationRange: this.getRange(ast.minChar, ast.limChar, this.scriptName)
+                });
+            }
+        }
+        return containers;
+    };
+
+    /**
+     * Returns the declarations of all the scripts of this document whose name
+     * matches the given search value, with the kind of the match: "exact",
+     * "prefix" or "substring". An empty search value matches all the declarations.
+     * The range is the one of the declared name.
+     * @param {!string} searchValue
+     * @returns {Array.<{name: string, kind: string, matchKind: string, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    TypeScriptDocument.prototype.getNavigateToItems = function (searchValue) {
+        var that = this;
+
+        return this.langSvc.getNavigateToItems(searchValue).filter(function (item) {
+            // The scripts themselves are matched by their file name
+            return item.kind !== "script" && that.lsh.scripts[item.unitIndex];
+        }).map(function (item) {
+            var script = that.lsh.scripts[item.unitIndex];
+            return {
+                name: item.name,
+                kind: item.kind,
+                matchKind: item.matchKind,
+                containerName: item.containerName,
+                range: that._getNameRange(item, script),
+                scriptName: script.name
+            };
+        });
+    };
+
+    /**
+     * Returns whether the given reference entry of the given script is a write
+     * access. The language service considers the identifiers read by the
+     * initializer of a variable declaration as written, so they are checked again.
+     * @param {!{ast: *, isWriteAccess: boolean}} reference Reference entry
+     * @param {!string} scriptName Script name of the reference
+     * @returns {boolean}
+     * @private
+     */
+    TypeScriptDocument.prototype._isWriteAccess = function (reference, scriptName) {
+        if (!reference.isWriteAccess) {
+            return false;
+        }
+        var path = TypeScript.getAstPathToPosition(this.langSvc.getScriptAST(scriptName), reference.ast.minChar,
+                                                   TypeScript.GetAstPathOptions.EdgeInclusive),
+            parent = path.asts[path.top - 1];
+        return !parent || parent.nodeType !== TypeScript.NodeType.VarDecl || parent.id === reference.ast;
+    };
+
+    /**
+     * Returns all the references to the symbol at the given brackets position in
+     * this document, from all the scripts of this document.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {Array.<{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, isWriteAccess: boolean}>}
+     */
+    TypeScriptDocument.prototype.getReferencesAtPosition = function (pos) {
+        var that = this,
+            references = this.langSvc.getReferencesAtPosition(this.scriptName, this.getIndexFromPos(pos));
+
+        return references.filter(function (reference) {
+            return that.lsh.scripts[reference.unitIndex];
+        }).map(function (reference) {
+            var scriptName = that.lsh.scripts[reference.unitIndex].name;
+            return {
+                range: that.getRange(reference.ast.minChar, reference.ast.limChar, scriptName),
+                scriptName: scriptName,
+                isWriteAccess: that._isWriteAccess(reference, scriptName)
+            };
+        });
+    };
+
+    /**
+     * Returns the classes implementing the interface at the given brackets position
+     * in this document, or the class members implementing the interface member at
+     * this position, from all the scripts of this document. The range is the one
+     * of the implementing name, the declaration range is the one of the whole
+     * implementing declaration.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {Array.<{name: string, kind: string, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    TypeScriptDocument.prototype.getImplementorsAtPosition = function (pos) {
+        var that = this,
+            langSvc = this.langSvc,
+            implementors = langSvc.getImplementorsAtPosition(this.scriptName, this.getIndexFromPos(pos));
+
+        return implementors.filter(function (implementor) {
+            var sym = implementor.ast.sym;
+            // The interface and its members are part of the result, they are not implementations
+            return sym && sym.declAST && that.lsh.scripts[implementor.unitIndex] &&
+                langSvc.getSymbolElementKind(sym) !== "interface" &&
+                !(sym.container && langSvc.getSymbolElementKind(sym.container) === "interface");
+        }).map(function (implementor) {
+            var sym = implementor.ast.sym,
+                scriptName = that.lsh.scripts[implementor.unitIndex].name;
+            return {
+                name: sym.name,
+                kind: langSvc.getSymbolElementKind(sym),
+                containerName: langSvc.getSymbolContainerName(sym),
+                range: that.getRange(implementor.ast.minChar, implementor.ast.limChar, scriptName),
+                declarationRange: that.getRange(sym.declAST.minChar, sym.declAST.limChar, scriptName),
+                scriptName: scriptName
+            };
+        });
+    };
+
+    /**
+     * Returns the node of a type hierarchy for the given class or interface symbol.
+     * @param {!*} sym Type symbol
+     * @returns {{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, children: Array}}
+     * @private
+     */
+    TypeScriptDocument.prototype._getTypeNode = function (sym) {
+        var scriptName = this.getScriptNameFromUnitIndex(sym.unitIndex),
+            name = sym.declAST.name || sym.declAST;
+        return {
+            name: sym.name,
+            kind: this.langSvc.getSymbolElementKind(sym),
+            range: this.getRange(name.minChar, name.limChar, scriptName),
+            scriptName: scriptName,
+            children: []
+        };
+    };
+
+    /**
+     * Returns the type symbols directly extended or implemented by the given class
+     * or interface symbol.
+     * @param {!*} sym Type symbol
+     * @returns {Array.<*>}
+     * @private
+     */
+    TypeScriptDocument.prototype._getBaseTypeSymbols = function (sym) {
+        var type = sym.type.instanceType || sym.type;
+        return (type.extendsList || []).concat(type.implementsList || []).map(function (baseType) {
+            return baseType.symbol;
+        }).filter(function (baseSym) {
+            return baseSym && baseSym.declAST;
+        });
+    };
+
+    /**
+     * Returns the type hierarchy of the class or interface at the given brackets
+     * position in this document: the tree of its base types, each node having its
+     * own base types as children, and the tree of its subtypes in all the scripts
+     * of this document, each node having its direct subtypes as children.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {?{type: {name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}, supertypes: Array, subtypes: Array}}
+     */
+    TypeScriptDocument.prototype.getTypeHierarchyAtPosition = function (pos) {
+        var that = this,
+            index = this.getIndexFromPos(pos),
+            sym = this.getSymbolAtIndex(index),
+            kind = sym && this.langSvc.getSymbolElementKind(sym);
+
+        if (!sym || !sym.declAST || (kind !== "class" && kind !== "interface")) {
+            return null;
+        }
+
+        // The implementors are all the subtypes, whatever their depth, and the type itself
+        var subtypeSyms = this.langSvc.getImplementorsAtPosition(this.scriptName, index).map(function (implementor) {
+            return implementor.ast.sym;
+        }).filter(function (subtypeSym) {
+            return subtypeSym && subtypeSym !== sym && subtypeSym.declAST;
+        });
+
+        function getSupertypes(typeSym, visited) {
+            return that._getBaseTypeSymbols(typeSym).filter(function (baseSym) {
+                return visited.indexOf(baseSym) === -1;
+            }).map(function (baseSym) {
+                var node = that._getTypeNode(baseSym);
+                node.children = getSupertypes(baseSym, visited.concat([baseSym]));
+                return node;
+            });
+        }
+
+        function getSubtypes(typeSym, visited) {
+            return subtypeSyms.filter(function (subtypeSym) {
+                return visited.indexOf(subtypeSym) === -1 &&
+                    that._getBaseTypeSymbols(subtypeSym).indexOf(typeSym) !== -1;
+            }).map(function (subtypeSym) {
+                var node = that._getTypeNode(subtypeSym);
+                node.children = getSubtypes(subtypeSym, visited.concat([subtypeSym]));
+                return node;
+            });
+        }
+
+        var type = this._getTypeNode(sym);
+        delete type.children;
+        return {
+            type: type,
+            supertypes: getSupertypes(sym, [sym]),
+            subtypes: getSubtypes(sym, [sym])
+        };
+    };
+
+    /**
+     * Returns the call hierarchy item of the given symbol if it is a named function
+     * or method.
+     * @param {*} sym
+     * @returns {?{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}}
+     * @private
+     */
+    TypeScriptDocument.prototype._getCallableItem = function (sym) {
+        var declaration = sym && sym.declAST,
+            kind = sym && this.langSvc.getSymbolElementKind(sym);
+
+        if (!declaration || declaration.nodeType !== TypeScript.NodeType.FuncDecl || !declaration.name ||
+                (kind !== "function" && kind !== "method")) {
+            return null;
+        }
+        var scriptName = this.getScriptNameFromUnitIndex(sym.unitIndex);
+        return {
+            name: declaration.name.actualText,
+            kind: kind,
+            range: this.getRange(declaration.name.minChar, declaration.name.limChar, scriptName),
+            scriptName: scriptName
+        };
+    };
+
+    /**
+     * Returns the index position of the name of the given call hierarchy item.
+     * @param {!{range: {start: {line: number, ch: number}}, scriptName: string}} item
+     * @returns {number}
+     * @private
+     */
+    TypeScriptDocument.prototype._getItemIndex = function (item) {
+        return this.lsh.lineColToPosition(item.scriptName, item.range.start.line + 1, item.range.start.ch + 1);
+    };
+
+    /**
+     * Returns the function or method declared, or called, at the given brackets
+     * position in this document, as the root item of a call hierarchy.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {?{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}}
+     */
+    TypeScriptDocument.prototype.getCallHierarchyItemAtPosition = function (pos) {
+        return this._getCallableItem(this.getSymbolAtPosition(pos));
+    };
+
+    /**
+     * Returns the callers of the function or method of the given call hierarchy item,
+     * from all the scripts of this document, with the ranges of their calls. A call
+     * out of any named function has the script as caller, of kind "script".
+     * @param {!{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}} item
+     * @returns {Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, callRanges: Array.<{start: {line: number, ch: number}, end: {line: number, ch: number}}>}>}
+     */
+    TypeScriptDocument.prototype.getIncomingCalls = function (item) {
+        var that = this,
+            langSvc = this.langSvc,
+            callers = [],
+            callersObj = {};
+
+        langSvc.getReferencesAtPosition(item.scriptName, this._getItemIndex(item)).forEach(function (reference) {
+            var script = that.lsh.scripts[reference.unitIndex];
+            if (!script) {
+                return;
+            }
+            var asts = TypeScript.getAstPathToPosition(langSvc.getScriptAST(script.name), reference.ast.minChar,
+                                                       TypeScript.GetAstPathOptions.EdgeInclusive).asts,
+                index = asts.indexOf(reference.ast),
+                callRange = that.getRange(reference.ast.minChar, reference.ast.limChar, script.name),
+                caller = null,
+                i;
+
+            if (index === -1 || !_isCallTarget(asts, index)) {
+                return;
+            }
+            // Function expressions have no name of their own, their enclosing function is the caller
+            for (i = index - 1; i >= 0 && !caller; i--) {
+                if (asts[i].nodeType === TypeScript.NodeType.FuncDecl && asts[i].type) {
+                    caller = that._getCallableItem(asts[i].type.symbol);
+                }
+            }
+            if (!caller) {
+                caller = {
+                    name: script.name.substr(script.name.lastIndexOf("/") + 1),
+                    kind: "script",
+                    range: {start: {line: 0, ch: 0}, end: {line: 0, ch: 0}},
+                    scriptName: script.name
+                };
+            }
+
+            var key = caller.scriptName + ":" + caller.range.start.line + ":" + caller.range.start.ch;
+            if (!callersObj.hasOwnProperty(key)) {
+                caller.callRanges = [];
+                callersObj[key] = caller;
+                callers.push(caller);
+            }
+            callersObj[key].callRanges.push(callRange);
+        });
+        return callers;
+    };
+
+    /**
+     * Returns the functions and methods called by the function or method of the
+     * given call hierarchy item, with the ranges of their calls in its body.
+     * @param {!{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}} item
+     * @returns {Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, callRanges: Array.<{start: {line: number, ch: number}, end: {line: number, ch: number}}>}>}
+     */
+    TypeScriptDocument.prototype.getOutgoingCalls = function (item) {
+        var that = this,
+            langSvc = this.langSvc,
+            sym = langSvc.getSymbolAtPosition(langSvc.getScriptAST(item.scriptName), this._getItemIndex(item)),
+            declaration = sym && sym.declAST,
+            callees = [],
+            calleesObj = {};
+
+        if (!declaration || declaration.nodeType !== TypeScript.NodeType.FuncDecl) {
+            return [];
+        }
+
+        TypeScript.getAstWalkerFactory().walk(declaration, function (ast) {
+            if (ast && ast.nodeType === TypeScript.NodeType.Call && ast.target) {
+                var target = (ast.target.nodeType === TypeScript.NodeType.Dot) ? ast.target.operand2 : ast.target,
+                    callee = that._getCallableItem(target.sym);
+
+                if (callee) {
+                    var key = callee.scriptName + ":" + callee.range.start.line + ":" + callee.range.start.ch;
+                    if (!calleesObj.hasOwnProperty(key)) {
+                        callee.callRanges = [];
+                        calleesObj[key] = callee;
+                        callees.push(callee);
+                    }
+                    calleesObj[key].callRanges.push(that.getRange(target.minChar, target.limChar, item.scriptName));
+                }
+            }
+            return ast;
+        });
+        return callees;
+    };
+
+    /**
+     * Returns the occurrences in this document of the symbol at the given brackets
+     * position.
+     * @param {!{line:number, ch:number}} pos Brackets position
+     * @returns {Array.<{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, isWriteAccess: boolean}>}
+     */
+    TypeScriptDocument.prototype.getOccurrencesAtPosition = function (pos) {
+        var that = this,
+            occurrences = this.langSvc.getOccurrencesAtPosition(this.scriptName, this.getIndexFromPos(pos));
+
+        return occurrences.map(function (occurrence) {
+            return {
+                range: that.getRange(occurrence.ast.minChar, occurrence.ast.limChar, that.scriptName),
+                isWriteAccess: that._isWriteAccess(occurrence, that.scriptName)
+            };
+        });
+    };
+
     /**
      * Returns the text content of this document.
      * @returns {!string}
@@ -268,6 +1115,22 @@ define(function (require, exports, module) {
         return this.doc.getText();
     };
 
+    /**
+     * Returns the text content of the typescript script identified by the given
+     * script name, as processed by the language service.
+     * @param {!string} scriptName Script name of this document or a referenced one
+     * @returns {?string}
+     */
+    TypeScriptDocument.prototype.getScriptText = function (scriptName) {
+        var i;
+        for (i = 0; i < this.lsh.scripts.length; i++) {
+            if (this.lsh.scripts[i].name === scriptName) {
+                return this.lsh.scripts[i].content;
+            }
+        }
+        return null;
+    };
+
     /**
      * Extracts and returns the current references from the contents of this document.
      * If there was other references before, it provides also the added and removed ones.
@@ -305,6 +1168,41 @@ define(function (require, exports, module) {
         return result;
     };
 
+    /**
+     * Returns the range of the path in the first reference directive of this document
+     * matching the given relative path.
+     * @param {!string} relativePath
+     * @returns {?{start: {line: number, ch: number}, end: {line: number, ch: number}}}
+     */
+    TypeScriptDocument.prototype.getReferenceRange = function (relativePath) {
+        var directive = getReferenceDirectives(this.getText()).filter(function (directive) {
+            return directive.relativePath === relativePath;
+        })[0];
+        return directive ? directive.range : null;
+    };
+
+    /**
+     * Returns the reference directive at the given line of this document, with the
+     * relative path it contains, the corresponding full path and the range of the
+     * path in the line.
+     * @param {!number} line
+     * @returns {?{relativePath: string, fullPath: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}}
+     */
+    TypeScriptDocument.prototype.getReferenceAtLine = function (line) {
+        var directive = getReferenceDirectives(this.getText()).filter(function (directive) {
+            return directive.range.start.line === line;
+        })[0];
+
+        if (!directive) {
+            return null;
+        }
+        return {
+            relativePath: directive.relativePath,
+            fullPath: this.getFullPath(directive.relativePath),
+            range: directive.range
+        };
+    };
+
     /**
      * Adds or updates the entire document content in the corresponding typescript script.
      * @param {!Document} doc This document or a referenced one
@@ -317,6 +1215,18 @@ define(function (require, exports, module) {
         this.langSvc = this.lsh.getLanguageService();
     };
 
+    /**
+     * Adds or updates the entire content of the given documents in the corresponding
+     * typescript scripts. The typescript language service is updated only once.
+     * @param {!Array.<Document>} docs
+     */
+    TypeScriptDocument.prototype.updateScriptsWithText = function (docs) {
+        docs.forEach(function (doc) {
+            this.lsh.updateScript(getScriptName(doc), doc.getText(), false);
+        }, this);
+        this.langSvc = this.lsh.getLanguageService();
+    };
+
     /**
      * Removes the corresponding typescript script.
      * @param {!Document} doc This document or a referenced one
@@ -379,7 +1289,9 @@ define(function (require, exports, module) {
     };
     
     // Define public API
-    exports.TypeScriptDocument = TypeScriptDocument;
-    exports.getScriptName      = getScriptName;
-    exports.getReferenceRegExp = getReferenceRegExp;
+    exports.TypeScriptDocument     = TypeScriptDocument;
+    exports.getScriptName          = getScriptName;
+    exports.getReferenceRegExp     = getReferenceRegExp;
+    exports.getReferenceDirectives = getReferenceDirectives;
+    exports.getPosFromTextIndex    = getPosFromTextIndex;
 });
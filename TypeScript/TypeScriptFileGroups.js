@@ -0,0 +1,150 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var ProjectManager = brackets.getModule("project/ProjectManager"),
+        Mustache       = brackets.getModule("thirdparty/mustache/mustache");
+
+    /**
+     * Compares two script names so that the given main script name comes first,
+     * then the others sorted by name.
+     * @param {?string} mainScriptName
+     * @param {!string} a
+     * @param {!string} b
+     * @returns {number} Negative if a is before b, positive if a is after b, 0 otherwise
+     */
+    function compareScriptNames(mainScriptName, a, b) {
+        if (a === b) {
+            return 0;
+        }
+        if (a === mainScriptName) {
+            return -1;
+        }
+        if (b === mainScriptName) {
+            return 1;
+        }
+        return a.localeCompare(b);
+    }
+
+    /**
+     * Compares two positions of a same script.
+     * @param {!{line: number, ch: number}} a
+     * @param {!{line: number, ch: number}} b
+     * @returns {number} Negative if a is before b, positive if a is after b, 0 otherwise
+     */
+    function comparePositions(a, b) {
+        return (a.line !== b.line) ? a.line - b.line : a.ch - b.ch;
+    }
+
+    /**
+     * Groups the given items by script name. Each file lists its items in the given
+     * property, for example "errors". The file of the given main script name comes
+     * first, then the others files sorted by name.
+     * @param {!Array.<{scriptName: string}>} items
+     * @param {!string} property Name of the property listing the items of a file
+     * @param {?string} mainScriptName
+     * @param {Array.<string>=} fullPaths Full paths of the files listed even without item
+     * @returns {Array.<{fullPath: string}>}
+     */
+    function groupByFile(items, property, mainScriptName, fullPaths) {
+        var filesObj = {};
+
+        function getFile(fullPath) {
+            if (!filesObj[fullPath]) {
+                filesObj[fullPath] = {fullPath: fullPath};
+                filesObj[fullPath][property] = [];
+            }
+            return filesObj[fullPath];
+        }
+
+        (fullPaths || []).forEach(getFile);
+        items.forEach(function (item) {
+            getFile(item.scriptName)[property].push(item);
+        });
+
+        return Object.keys(filesObj).map(function (fullPath) {
+            return filesObj[fullPath];
+        }).sort(function (a, b) {
+            return compareScriptNames(mainScriptName, a.fullPath, b.fullPath);
+        });
+    }
+
+    /**
+     * Renders the given files in the given container with the given template. The
+     * template gets each file with its index, its project relative display name, its
+     * count of items and its items, listed in the given property and converted by
+     * the given function. Each converted item gets its file index and its item index,
+     * used by getRowItem to find it back.
+     * @param {!jQueryObject} $container
+     * @param {!string} template Mustache template
+     * @param {!Array.<{fullPath: string}>} files Files grouped by groupByFile
+     * @param {!string} property Name of the property listing the items of a file
+     * @param {!function(Object):Object} convertItem
+     */
+    function renderFiles($container, template, files, property, convertItem) {
+        var view = files.map(function (file, fileIndex) {
+            return {
+                fileIndex: fileIndex,
+                displayName: ProjectManager.makeProjectRelativeIfPossible(file.fullPath),
+                count: file[property].length,
+                items: file[property].map(function (item, itemIndex) {
+                    var viewItem = convertItem(item);
+                    viewItem.fileIndex = fileIndex;
+                    viewItem.itemIndex = itemIndex;
+                    return viewItem;
+                })
+            };
+        });
+
+        $container
+            .empty()
+            .append(Mustache.render(template, {files: view}));
+    }
+
+    /**
+     * Returns the file and the item rendered by renderFiles in the given row.
+     * @param {!Array.<{fullPath: string}>} files Rendered files
+     * @param {!string} property Name of the property listing the items of a file
+     * @param {!jQueryObject} $row Element with the data-file-index and data-item-index
+     *      attributes of the item
+     * @returns {?{file: {fullPath: string}, item: Object}}
+     */
+    function getRowItem(files, property, $row) {
+        var file = files[$row.data("file-index")],
+            item = file && file[property][$row.data("item-index")];
+        return item ? {file: file, item: item} : null;
+    }
+
+    // Define public API
+    exports.compareScriptNames = compareScriptNames;
+    exports.comparePositions   = comparePositions;
+    exports.groupByFile        = groupByFile;
+    exports.renderFiles        = renderFiles;
+    exports.getRowItem         = getRowItem;
+});
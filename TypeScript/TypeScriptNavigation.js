@@ -0,0 +1,264 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var DocumentManager = brackets.getModule("document/DocumentManager"),
+        EditorManager   = brackets.getModule("editor/EditorManager"),
+        TypeScriptUtils = require("TypeScript/TypeScriptUtils");
+
+    /**
+     * Maximum number of locations kept in each navigation history.
+     * @type {number}
+     */
+    var MAX_HISTORY_SIZE = 50;
+
+    /*
+     * TypeScriptNavigation dispatches this event:
+     *
+     * historyChange -- When the back or forward navigation history has changed.
+     */
+
+    /**
+     * Locations to go back to, the most recent last.
+     * @type {Array.<{fullPath: string, pos: {line:number, ch:number}}>}
+     * @private
+     */
+    var _backHistory = [];
+
+    /**
+     * Locations to go forward to, the most recent last.
+     * @type {Array.<{fullPath: string, pos: {line:number, ch:number}}>}
+     * @private
+     */
+    var _forwardHistory = [];
+
+    /**
+     * Returns the location of the cursor in the main editor, if there is one.
+     * @returns {?{fullPath: string, pos: {line:number, ch:number}}}
+     * @private
+     */
+    function _getCurrentLocation() {
+        var editor = EditorManager.getCurrentFullEditor();
+        if (!editor) {
+            return null;
+        }
+        return {
+            fullPath: editor.document.file.fullPath,
+            pos: editor.getCursorPos()
+        };
+    }
+
+    /**
+     * Adds the given location at the end of the given history, unless it is already
+     * its last location.
+     * @param {!Array.<{fullPath: string, pos: {line:number, ch:number}}>} history
+     * @param {?{fullPath: string, pos: {line:number, ch:number}}} location
+     * @private
+     */
+    function _pushLocation(history, location) {
+        var last = history[history.length - 1];
+        if (!location || (last && last.fullPath === location.fullPath &&
+                          last.pos.line === location.pos.line && last.pos.ch === location.pos.ch)) {
+            return;
+        }
+        history.push(location);
+        if (history.length > MAX_HISTORY_SIZE) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Opens the document at the given full path in the main editor and selects the
+     * given range.
+     * @param {!string} fullPath
+     * @param {!{line:number, ch:number}} start
+     * @param {{line:number, ch:number}=} end
+     * @returns {$.Promise} A promise object that will be resolved with the editor
+     *      when the document is open and the range selected.
+     * @private
+     */
+    function _open(fullPath, start, end) {
+        var result = new $.Deferred();
+
+        DocumentManager.getDocumentForPath(fullPath)
+            .done(function (doc) {
+                DocumentManager.setCurrentDocument(doc);
+
+                var editor = EditorManager.getCurrentFullEditor();
+                editor.setSelection(start, end || start, true);
+                EditorManager.focusEditor();
+                result.resolve(editor);
+            })
+            .fail(function (error) {
+                console.error("Unable to open the document: ", fullPath);
+                result.reject(error);
+            });
+        return result.promise();
+    }
+
+    /**
+     * Opens the document at the given full path in the main editor and selects the
+     * given range. If no end position is given, the cursor is moved to the start
+     * position. The location left is added to the back navigation history.
+     * @param {!string} fullPath
+     * @param {!{line:number, ch:number}} start
+     * @param {{line:number, ch:number}=} end
+     * @returns {$.Promise} A promise object that will be resolved with the editor
+     *      when the document is open and the range selected.
+     */
+    function goTo(fullPath, start, end) {
+        var location = _getCurrentLocation();
+
+        return _open(fullPath, start, end).done(function () {
+            _pushLocation(_backHistory, location);
+            _forwardHistory = [];
+            $(exports).triggerHandler("historyChange");
+        });
+    }
+
+    /**
+     * Moves to the most recent location of the given history and adds the location
+     * left to the other history. The locations whose file can't be opened anymore
+     * are dropped.
+     * @param {!Array.<{fullPath: string, pos: {line:number, ch:number}}>} history
+     * @param {!Array.<{fullPath: string, pos: {line:number, ch:number}}>} otherHistory
+     * @returns {$.Promise} A promise object that will be resolved with the editor
+     *      when the location is restored, or rejected if the history is empty.
+     * @private
+     */
+    function _restoreLocation(history, otherHistory) {
+        var result = new $.Deferred(),
+            current = _getCurrentLocation();
+
+        function restoreNext() {
+            var location = history.pop();
+            if (!location) {
+                $(exports).triggerHandler("historyChange");
+                result.reject();
+                return;
+            }
+            _open(location.fullPath, location.pos)
+                .done(function (editor) {
+                    _pushLocation(otherHistory, current);
+                    $(exports).triggerHandler("historyChange");
+                    result.resolve(editor);
+                })
+                .fail(restoreNext);
+        }
+
+        restoreNext();
+        return result.promise();
+    }
+
+    /**
+     * Goes back to the location left by the last navigation.
+     * @returns {$.Promise} A promise object that will be resolved with the editor
+     *      when the location is restored, or rejected if there is none.
+     */
+    function goBack() {
+        return _restoreLocation(_backHistory, _forwardHistory);
+    }
+
+    /**
+     * Goes forward to the location left by the last goBack.
+     * @returns {$.Promise} A promise object that will be resolved with the editor
+     *      when the location is restored, or rejected if there is none.
+     */
+    function goForward() {
+        return _restoreLocation(_forwardHistory, _backHistory);
+    }
+
+    /**
+     * Returns whether there is a location to go back to.
+     * @returns {boolean}
+     */
+    function canGoBack() {
+        return _backHistory.length > 0;
+    }
+
+    /**
+     * Returns whether there is a location to go forward to.
+     * @returns {boolean}
+     */
+    function canGoForward() {
+        return _forwardHistory.length > 0;
+    }
+
+    /**
+     * When a file is renamed, update the locations in this file.
+     * @param event
+     * @param {!string} oldName Full path of the file or directory before renaming
+     * @param {!string} newName Full path of the file or directory after renaming
+     * @private
+     */
+    function _handleFileNameChange(event, oldName, newName) {
+        _backHistory.concat(_forwardHistory).forEach(function (location) {
+            if (location.fullPath === oldName) {
+                location.fullPath = newName;
+            } else if (location.fullPath.indexOf(oldName + "/") === 0) {
+                location.fullPath = newName + location.fullPath.substr(oldName.length);
+            }
+        });
+    }
+
+    /**
+     * When a file or directory is deleted, remove the locations in the deleted
+     * files from the navigation histories.
+     * @param event
+     * @param {!string} fullPath Full path of the deleted file or directory
+     * @private
+     */
+    function _handlePathDeleted(event, fullPath) {
+        function isKept(location) {
+            return location.fullPath !== fullPath && location.fullPath.indexOf(fullPath + "/") !== 0;
+        }
+
+        var backHistory = _backHistory.filter(isKept),
+            forwardHistory = _forwardHistory.filter(isKept);
+        if (backHistory.length !== _backHistory.length || forwardHistory.length !== _forwardHistory.length) {
+            _backHistory = backHistory;
+            _forwardHistory = forwardHistory;
+            $(exports).triggerHandler("historyChange");
+        }
+    }
+
+    // Listen for fileNameChange event
+    $(DocumentManager).on(TypeScriptUtils.eventName("fileNameChange"), _handleFileNameChange);
+
+    // Listen for pathDeleted event
+    $(DocumentManager).on(TypeScriptUtils.eventName("pathDeleted"), _handlePathDeleted);
+
+    // Define public API
+    exports.goTo         = goTo;
+    exports.goBack       = goBack;
+    exports.goForward    = goForward;
+    exports.canGoBack    = canGoBack;
+    exports.canGoForward = canGoForward;
+});
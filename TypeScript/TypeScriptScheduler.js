@@ -0,0 +1,203 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    /*
+     * Coalesces the "change" events of the TypeScriptDocuments so the expensive
+     * language service work is done once the edits have settled.
+     *
+     * TypeScriptScheduler dispatches this event:
+     *
+     * analysisReady -- When a changed TypeScriptDocument has not changed anymore
+     *                  during ANALYSIS_DELAY and its scheduled requests have been
+     *                  processed. The TypeScriptDocument is passed as parameter.
+     */
+
+    /**
+     * Delay in milliseconds without change before analysing a document.
+     * @type {number}
+     */
+    var ANALYSIS_DELAY = 300;
+
+    /**
+     * Scheduling state of each watched document. Maps script name -> entry.
+     * @type {Object.<string, {tsDoc: TypeScriptDocument, version: number, changed: boolean, timer: ?number,
+     *          requests: Array.<{fn: function(TypeScriptDocument), deferred: $.Deferred}>}>}
+     * @private
+     */
+    var _entries = {};
+
+    /**
+     * Get a typescript-scheduler-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-scheduler";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Rejects all the pending requests of the given entry.
+     * @param {!Object} entry
+     * @private
+     */
+    function _dropRequests(entry) {
+        var requests = entry.requests;
+        entry.requests = [];
+        requests.forEach(function (request) {
+            request.deferred.reject("stale");
+        });
+    }
+
+    /**
+     * Processes the pending requests of the given entry and, if it has changed,
+     * notifies the listeners that the analysis is ready.
+     * @param {!Object} entry
+     * @private
+     */
+    function _analyse(entry) {
+        var requests = entry.requests,
+            changed = entry.changed;
+        entry.timer = null;
+        entry.requests = [];
+        entry.changed = false;
+
+        requests.forEach(function (request) {
+            try {
+                request.deferred.resolve(request.fn(entry.tsDoc));
+            } catch (error) {
+                console.error("Analysis request failed: ", entry.tsDoc.scriptName, error);
+                request.deferred.reject(error);
+            }
+        });
+        if (changed) {
+            $(exports).triggerHandler("analysisReady", [entry.tsDoc]);
+        }
+    }
+
+    /**
+     * (Re)starts the analysis timer of the given entry.
+     * @param {!Object} entry
+     * @param {!number} delay
+     * @private
+     */
+    function _schedule(entry, delay) {
+        if (entry.timer !== null) {
+            window.clearTimeout(entry.timer);
+        }
+        entry.timer = window.setTimeout(function () {
+            _analyse(entry);
+        }, delay);
+    }
+
+    /**
+     * Starts watching the "change" event of the given TypeScriptDocument. Each change
+     * drops the pending requests (they are stale) and postpones the analysis.
+     * @param {!TypeScriptDocument} tsDoc
+     */
+    function watch(tsDoc) {
+        if (_entries[tsDoc.scriptName]) {
+            return;
+        }
+        var entry = {
+            tsDoc: tsDoc,
+            version: 0,
+            changed: false,
+            timer: null,
+            requests: []
+        };
+        _entries[tsDoc.scriptName] = entry;
+
+        $(tsDoc).on(eventName("change"), function () {
+            entry.version++;
+            entry.changed = true;
+            _dropRequests(entry);
+            _schedule(entry, ANALYSIS_DELAY);
+        });
+    }
+
+    /**
+     * Stops watching the given TypeScriptDocument and drops its pending requests.
+     * @param {!TypeScriptDocument} tsDoc
+     */
+    function unwatch(tsDoc) {
+        var entry = _entries[tsDoc.scriptName];
+        if (!entry) {
+            return;
+        }
+        if (entry.timer !== null) {
+            window.clearTimeout(entry.timer);
+        }
+        _dropRequests(entry);
+        $(tsDoc).off(eventName("change"));
+        delete _entries[tsDoc.scriptName];
+    }
+
+    /**
+     * Schedules the given function to be called with the given TypeScriptDocument once
+     * its edits have settled. If the document changes before the function is called,
+     * the request is dropped.
+     * @param {!TypeScriptDocument} tsDoc A watched TypeScriptDocument
+     * @param {!function(TypeScriptDocument):*} fn
+     * @returns {$.Promise} A promise object that will be resolved with the result of
+     *      the function, or rejected with "stale" if a newer edit arrived before.
+     */
+    function request(tsDoc, fn) {
+        var entry = _entries[tsDoc.scriptName],
+            deferred = new $.Deferred();
+
+        if (!entry) {
+            console.error("TypeScriptDocument not watched: ", tsDoc.scriptName);
+            return deferred.reject("unwatched").promise();
+        }
+        entry.requests.push({fn: fn, deferred: deferred});
+        // Nothing is pending, so the document is already settled
+        if (entry.timer === null) {
+            _schedule(entry, 0);
+        }
+        return deferred.promise();
+    }
+
+    /**
+     * Returns the version of the given TypeScriptDocument, incremented at each change.
+     * @param {!TypeScriptDocument} tsDoc A watched TypeScriptDocument
+     * @returns {number}
+     */
+    function getVersion(tsDoc) {
+        var entry = _entries[tsDoc.scriptName];
+        return entry ? entry.version : -1;
+    }
+
+    // Define public API
+    exports.ANALYSIS_DELAY = ANALYSIS_DELAY;
+    exports.watch          = watch;
+    exports.unwatch        = unwatch;
+    exports.request        = request;
+    exports.getVersion     = getVersion;
+});
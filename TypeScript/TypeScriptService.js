@@ -30,10 +30,13 @@ define(function (require, exports, module) {
 
     var DocumentManager        = brackets.getModule("document/DocumentManager"),
         EditorManager          = brackets.getModule("editor/EditorManager"),
+        Async                  = brackets.getModule("utils/Async"),
         PathUtils              = require("PathUtils"),
         TypeScriptUtils        = require("TypeScript/TypeScriptUtils"),
         TypeScriptDocument     = require("TypeScript/TypeScriptDocument").TypeScriptDocument,
-        TypeScriptSession      = require("TypeScript/TypeScriptSession").TypeScriptSession;
+        TypeScriptSession      = require("TypeScript/TypeScriptSession").TypeScriptSession,
+        SessionState           = require("TypeScript/TypeScriptSession").SessionState,
+        TypeScriptScheduler    = require("TypeScript/TypeScriptScheduler");
 
     /**
      * All sessions in cache. Maps Document.file.fullPath -> TypeScriptSession.
@@ -50,6 +53,24 @@ define(function (require, exports, module) {
      */
     var _currentSession = null;
 
+    /*
+     * TypeScriptService dispatches this event:
+     *
+     * currentSessionChange -- When the current active session has changed. The new
+     *                         session (or null) is passed as parameter.
+     * sessionStateChange   -- When the state of a session has changed. The session
+     *                         is passed as parameter.
+     */
+
+    /**
+     * When the state of a session has changed, notify the listeners.
+     * @param event Event whose target is the session
+     * @private
+     */
+    function _handleSessionStateChange(event) {
+        $(exports).triggerHandler("sessionStateChange", [event.target]);
+    }
+
     /**
      * Returns a session associated to the given document and creates it if needed.
      * @param {!Document} doc
@@ -62,6 +83,8 @@ define(function (require, exports, module) {
         if (!session) {
             var tsDoc = new TypeScriptDocument(doc);
             session = new TypeScriptSession(tsDoc);
+            TypeScriptScheduler.watch(tsDoc);
+            $(session).on(TypeScriptUtils.eventName("stateChange"), _handleSessionStateChange);
             result = session.init();
             _sessions[doc.file.fullPath] = session;
         } else {
@@ -73,8 +96,9 @@ define(function (require, exports, module) {
 
     /**
      * Returns a session associated to the given full path and creates it if needed.
-     * @param {!Document} doc
-     * @returns {$.Promise} A promise object that will be resolved with the session
+     * @param {!string} fullPath
+     * @returns {$.Promise} A promise object that will be resolved with the session,
+     *      or rejected if the document can't be loaded
      */
     function getSessionFromPath(fullPath) {
         var result = new $.Deferred();
@@ -84,10 +108,57 @@ define(function (require, exports, module) {
                 getSession(doc).done(function (session) {
                     result.resolve(session);
                 });
+            })
+            .fail(function (error) {
+                console.error("Unable to load the typescript file: ", fullPath, error);
+                result.reject(error);
             });
         return result;
     }
 
+    /**
+     * Creates a TypeScriptDocument containing the scripts of all the files at the
+     * given full paths, for example to analyse the files attached to no session.
+     * Unlike a session, it is neither cached nor updated when the files change: it
+     * is disposed of by dropping it.
+     * Note: all the scripts are compiled together, so each one sees the declarations
+     * of the others even without reference.
+     * @param {!Array.<string>} fullPaths
+     * @returns {$.Promise} A promise object that will be resolved with the
+     *      TypeScriptDocument, or with null if there is no file
+     */
+    function createIndex(fullPaths) {
+        var result = new $.Deferred(),
+            docs = [];
+
+        Async.doSequentially(fullPaths, function (fullPath) {
+            return DocumentManager.getDocumentForPath(fullPath).done(function (doc) {
+                docs.push(doc);
+            });
+        }, false).done(function () {
+            var tsDoc = null;
+            if (docs.length > 0) {
+                tsDoc = new TypeScriptDocument(docs[0]);
+                tsDoc.updateScriptsWithText(docs);
+            }
+            result.resolve(tsDoc);
+        }).fail(function (error) {
+            console.error("Unable to index the files: ", error);
+            result.reject(error);
+        });
+        return result.promise();
+    }
+
+    /**
+     * Returns all the sessions in cache.
+     * @returns {Array.<TypeScriptSession>}
+     */
+    function getSessions() {
+        return Object.keys(_sessions).map(function (fullPath) {
+            return _sessions[fullPath];
+        });
+    }
+
     /**
      * Returns the current active session.
      * @returns {TypeScriptSession}
@@ -96,6 +167,19 @@ define(function (require, exports, module) {
         return _currentSession;
     }
 
+    /**
+     * Changes the current active session and notifies the listeners.
+     * @param {?TypeScriptSession} session
+     * @private
+     */
+    function _setCurrentSession(session) {
+        if (_currentSession === session) {
+            return;
+        }
+        _currentSession = session;
+        $(exports).triggerHandler("currentSessionChange", [session]);
+    }
+
     /**
      * When the active editor is changed, change the current active session to its
      * document if it's a typescript file. Create the session if needed.
@@ -111,13 +195,13 @@ define(function (require, exports, module) {
         // Here we could detach the session from the previous editor
         //if (_currentSession && previous) { }
 
-        _currentSession = null;
+        _setCurrentSession(null);
         if (current.getModeForSelection() === TypeScriptUtils.MODE_NAME) {
             console.log("Current session changing to: ", current.document.file.fullPath);
 
             getSession(current.document).done(function (session) {
                 console.log("Current session changed to: ", current.document.file.fullPath);
-                _currentSession = session;
+                _setCurrentSession(session);
             });
         }
     }
@@ -128,5 +212,8 @@ define(function (require, exports, module) {
     // Define public API
     exports.getSession          = getSession;
     exports.getSessionFromPath  = getSessionFromPath;
+    exports.getSessions         = getSessions;
+    exports.createIndex         = createIndex;
     exports.getCurrentSession   = getCurrentSession;
+    exports.SessionState        = SessionState;
 });
@@ -35,6 +35,20 @@ define(function (require, exports, module) {
         TypeScriptUtils    = require("TypeScript/TypeScriptUtils"),
         TypeScriptDocument = require("TypeScript/TypeScriptDocument");
 
+    /**
+     * States of a session.
+     * LOADING -- The referenced documents are being loaded.
+     * READY   -- All the referenced documents are attached.
+     * FAILED  -- Some referenced documents could not be loaded
+     *            (see getUnresolvedReferences).
+     * @enum {string}
+     */
+    var SessionState = {
+        LOADING: "loading",
+        READY:   "ready",
+        FAILED:  "failed"
+    };
+
     /**
      * @constructor
      * Session that maintain a given TypeScriptDocument's scripts up to date.
@@ -43,12 +57,20 @@ define(function (require, exports, module) {
      * When the current document change, it also check if references have been added
      * or removed.
      *
+     * TypeScriptSession dispatches this event:
+     *
+     * stateChange -- When the state of this session has changed. The new state is
+     *                passed as parameter.
+     *
      * @param {!TypeScriptDocument} tsDoc TypeScriptDocument that will be maintain up
      *                                    to date by this session
      */
     function TypeScriptSession(tsDoc) {
         this.tsDoc = tsDoc;
         this._attachedDocuments = {};
+        this._unresolvedReferences = {};
+        this._referencedPaths = {};
+        this.state = SessionState.LOADING;
     }
 
     /**
@@ -57,6 +79,12 @@ define(function (require, exports, module) {
      */
     TypeScriptSession.prototype.tsDoc = null;
 
+    /**
+     * Current state of this session.
+     * @type {SessionState}
+     */
+    TypeScriptSession.prototype.state = null;
+
     /**
      * All documents attached. Maps Document.file.fullPath -> Document.
      * @private
@@ -64,6 +92,80 @@ define(function (require, exports, module) {
      */
     TypeScriptSession.prototype._attachedDocuments = null;
 
+    /**
+     * References that could not be loaded, in this document or in the documents it
+     * references. Maps full path of the file that could not be loaded -> reference.
+     * The script name is the full path of the document containing the reference.
+     * @private
+     * @type {Object.<string, {relativePath: string, scriptName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}
+     */
+    TypeScriptSession.prototype._unresolvedReferences = null;
+
+    /**
+     * Full paths referenced by each attached document. Maps Document.file.fullPath ->
+     * Array of full paths.
+     * @private
+     * @type {Object.<string, Array.<string>>}
+     */
+    TypeScriptSession.prototype._referencedPaths = null;
+
+    /**
+     * Returns whether the document at the given full path is attached to this session.
+     * @param {!string} fullPath
+     * @returns {boolean}
+     */
+    TypeScriptSession.prototype.isAttached = function (fullPath) {
+        return this._attachedDocuments.hasOwnProperty(fullPath);
+    };
+
+    /**
+     * Returns the full paths of all the documents attached to this session.
+     * @returns {Array.<string>}
+     */
+    TypeScriptSession.prototype.getAttachedPaths = function () {
+        return TypeScriptUtils.getObjectKeys(this._attachedDocuments);
+    };
+
+    /**
+     * Returns the references that could not be loaded, with the full path of the
+     * missing file, and the script name and range of the reference directive.
+     * @returns {Array.<{relativePath: string, fullPath: string, scriptName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}
+     */
+    TypeScriptSession.prototype.getUnresolvedReferences = function () {
+        var unresolvedReferences = this._unresolvedReferences;
+        return TypeScriptUtils.getObjectKeys(unresolvedReferences).map(function (fullPath) {
+            var reference = unresolvedReferences[fullPath];
+            return {
+                relativePath: reference.relativePath,
+                fullPath: fullPath,
+                scriptName: reference.scriptName,
+                range: reference.range
+            };
+        });
+    };
+
+    /**
+     * Returns the full paths of the attached documents brought in by the document at
+     * the given full path: itself and, recursively, the documents it references.
+     * @param {!string} fullPath
+     * @returns {Array.<string>}
+     */
+    TypeScriptSession.prototype.getIncludedPaths = function (fullPath) {
+        var that = this,
+            includedObj = {};
+
+        function include(fullPath) {
+            if (includedObj.hasOwnProperty(fullPath) || !that.isAttached(fullPath)) {
+                return;
+            }
+            includedObj[fullPath] = true;
+            (that._referencedPaths[fullPath] || []).forEach(include);
+        }
+
+        include(fullPath);
+        return TypeScriptUtils.getObjectKeys(includedObj);
+    };
+
     /**
      * Adds, processes and attaches all the scripts contents for this TypeScriptDocument
      * and its references.
@@ -75,10 +177,33 @@ define(function (require, exports, module) {
         this._attachDocument(this.tsDoc.doc, this._handleDocumentChange.bind(this));
         // Get references for this document
         var references = this.tsDoc.getReferences().all;
+        this._referencedPaths[this.tsDoc.doc.file.fullPath] = references.map(this.tsDoc.getFullPath, this.tsDoc);
         // Attach referenced documents and return a promise
         return this._attachReferencedDocuments(references);
     };
 
+    /**
+     * Changes the state of this session and notifies the listeners.
+     * @param {!SessionState} state
+     * @private
+     */
+    TypeScriptSession.prototype._setState = function (state) {
+        if (this.state === state) {
+            return;
+        }
+        this.state = state;
+        $(this).triggerHandler("stateChange", [state]);
+    };
+
+    /**
+     * Sets the state of this session according to its unresolved references, once
+     * the referenced documents are loaded.
+     * @private
+     */
+    TypeScriptSession.prototype._updateState = function () {
+        this._setState(this.getUnresolvedReferences().length > 0 ? SessionState.FAILED : SessionState.READY);
+    };
+
     /**
      * Updates this TypeScriptDocument's script contents with the given changes for
      * the given referenced document.
@@ -107,17 +232,34 @@ define(function (require, exports, module) {
         var references = this.tsDoc.getReferences(),
             that = this;
 
+        if (references.added.length > 0 || references.removed.length > 0) {
+            this._referencedPaths[doc.file.fullPath] = references.all.map(this.tsDoc.getFullPath, this.tsDoc);
+        }
+
         // Attach added references
         if (references.added.length > 0) {
-            this._attachReferencedDocuments(references.added);
+            this._attachReferencedDocuments(references.added).done(function () {
+                // Scripts have changed
+                that.tsDoc.triggerHandlerChange();
+            });
         }
 
-        // Detach removed references
+        // Forget removed unresolved references, they have nothing attached
         references.removed.forEach(function (relativePath) {
-            var fullPath = that.tsDoc.getFullPath(relativePath);
-            var doc = that._attachedDocuments[fullPath];
-            that._detachDocument(doc);
+            var fullPath = that.tsDoc.getFullPath(relativePath),
+                reference = that._unresolvedReferences[fullPath];
+            if (reference && reference.scriptName === that.tsDoc.scriptName) {
+                delete that._unresolvedReferences[fullPath];
+            }
         });
+        // Detach the documents no longer brought in by the references
+        if (references.removed.length > 0) {
+            this._detachUnreferencedDocuments();
+        }
+        // Removing an unresolved reference may fix this session
+        if (this.state !== SessionState.LOADING) {
+            this._updateState();
+        }
 
         this.tsDoc.updateScriptWithChanges(doc, changes);
         this.tsDoc.triggerHandlerChange();
@@ -155,6 +297,7 @@ define(function (require, exports, module) {
     TypeScriptSession.prototype._detachDocument = function (doc) {
         $(doc).off(TypeScriptUtils.eventName("change"));
         delete this._attachedDocuments[doc.file.fullPath];
+        delete this._referencedPaths[doc.file.fullPath];
 
         this.tsDoc.removeScript(doc);
         console.log("Script detached: ", doc.file.fullPath);
@@ -163,9 +306,84 @@ define(function (require, exports, module) {
         doc.releaseRef();
     };
 
+    /**
+     * Detaches the documents which are no longer brought in by this document
+     * references, directly or indirectly.
+     * @private
+     */
+    TypeScriptSession.prototype._detachUnreferencedDocuments = function () {
+        var that = this,
+            includedPaths = this.getIncludedPaths(this.tsDoc.doc.file.fullPath);
+
+        this.getAttachedPaths().forEach(function (fullPath) {
+            if (includedPaths.indexOf(fullPath) === -1) {
+                that._detachDocument(that._attachedDocuments[fullPath]);
+            }
+        });
+        // Forget the unresolved references of the detached documents
+        TypeScriptUtils.getObjectKeys(this._unresolvedReferences).forEach(function (fullPath) {
+            if (!that.isAttached(that._unresolvedReferences[fullPath].scriptName)) {
+                delete that._unresolvedReferences[fullPath];
+            }
+        });
+    };
+
+    /**
+     * Attaches and processes, recursively, the documents referenced by the given
+     * referenced document, so that the scripts it brings in indirectly are part of
+     * this session too. The documents that can't be loaded are left out and their
+     * references are kept as unresolved (see getUnresolvedReferences).
+     * @param {!Document} referencedDoc A referenced document
+     * @returns {$.Promise} A promise object that will be resolved when the documents
+     *      have been processed.
+     * @private
+     */
+    TypeScriptSession.prototype._attachIndirectReferences = function (referencedDoc) {
+        var that = this,
+            parentPath = PathUtils.getParentPath(referencedDoc.file.fullPath),
+            directives = TypeScriptDocument.getReferenceDirectives(referencedDoc.getText());
+
+        this._referencedPaths[referencedDoc.file.fullPath] = directives.map(function (directive) {
+            return PathUtils.convertRelativePathToFullPath(directive.relativePath, parentPath);
+        });
+        return Async.doInParallel(directives, function (directive) {
+            var result = new $.Deferred(),
+                fullPath = PathUtils.convertRelativePathToFullPath(directive.relativePath, parentPath);
+
+            if (that.isAttached(fullPath)) {
+                return result.resolve().promise();
+            }
+            DocumentManager.getDocumentForPath(fullPath)
+                .done(function (doc) {
+                    delete that._unresolvedReferences[fullPath];
+                    // The document may have been attached while it was loading
+                    if (that.isAttached(fullPath)) {
+                        result.resolve();
+                        return;
+                    }
+                    that._attachDocument(doc, that._handleReferencedDocumentChange.bind(that));
+                    that._attachIndirectReferences(doc).always(function () {
+                        result.resolve();
+                    });
+                })
+                .fail(function () {
+                    that._unresolvedReferences[fullPath] = {
+                        relativePath: directive.relativePath,
+                        scriptName: referencedDoc.file.fullPath,
+                        range: directive.range
+                    };
+                    result.resolve();
+                });
+            return result.promise();
+        });
+    };
+
     /**
      * Attaches and processes the referenced document at the given relative path.
      * See _attachDocument documentation.
+     * If the referenced document can't be loaded, the reference is kept as unresolved
+     * (see getUnresolvedReferences) and the promise is resolved anyway so the rest of
+     * the session can be initialized.
      * @returns {$.Promise} A promise object that will be resolved with this
      *      TypeScriptSession when the referenced document has been processed.
      * @private
@@ -178,8 +396,22 @@ define(function (require, exports, module) {
         console.log("Start loading script: ", fullPath);
         DocumentManager.getDocumentForPath(fullPath)
             .done(function (referencedDoc) {
-                that._attachDocument(referencedDoc,
-                    that._handleReferencedDocumentChange.bind(that));
+                delete that._unresolvedReferences[fullPath];
+                // The document may already be referenced by another referenced document
+                if (!that.isAttached(fullPath)) {
+                    that._attachDocument(referencedDoc,
+                        that._handleReferencedDocumentChange.bind(that));
+                }
+                that._attachIndirectReferences(referencedDoc).always(function () {
+                    result.resolve();
+                });
+            })
+            .fail(function () {
+                that._unresolvedReferences[fullPath] = {
+                    relativePath: relativePath,
+                    scriptName: that.tsDoc.scriptName,
+                    range: that.tsDoc.getReferenceRange(relativePath)
+                };
                 result.resolve();
             });
         return result;
@@ -196,9 +428,11 @@ define(function (require, exports, module) {
         var that = this,
             result = new $.Deferred();
 
+        this._setState(SessionState.LOADING);
         Async.doInParallel(relativePaths, function (relativePath) {
             return that._attachReferencedDocument(relativePath).promise();
         }).done(function () {
+            that._updateState();
             result.resolve(that);
         });
         return result;
@@ -206,4 +440,5 @@ define(function (require, exports, module) {
 
     // Define public API
     exports.TypeScriptSession = TypeScriptSession;
+    exports.SessionState      = SessionState;
 });
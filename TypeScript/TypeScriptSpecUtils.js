@@ -0,0 +1,144 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, beforeEach, afterEach, runs, brackets, waitsForDone */
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var DocumentManager   = brackets.getModule("document/DocumentManager"),
+        SpecRunnerUtils   = brackets.getModule("spec/SpecRunnerUtils"),
+        TypeScriptService = require("TypeScript/TypeScriptService");
+
+    /**
+     * Maximum time to wait for a typescript session, in milliseconds.
+     * @type {number}
+     */
+    var SESSION_TIMEOUT = 10000;
+
+    /**
+     * Loads the session of the script at the given full path, and makes the running
+     * spec wait for it.
+     * @param {!string} fullPath
+     * @returns {$.Promise} A promise object that will be resolved with the session.
+     */
+    function loadSession(fullPath) {
+        var promise = TypeScriptService.getSessionFromPath(fullPath);
+        waitsForDone(promise, "loading the typescript session of " + fullPath, SESSION_TIMEOUT);
+        return promise;
+    }
+
+    /**
+     * Loads the session of the script at the given full path before each spec of the
+     * current suite, and closes all the documents after each spec.
+     * @param {!string} fullPath
+     * @returns {{session: ?TypeScriptSession}} Holder of the session of the running spec
+     */
+    function setupSession(fullPath) {
+        var holder = {session: null};
+
+        beforeEach(function () {
+            loadSession(fullPath).done(function (session) {
+                holder.session = session;
+            });
+        });
+
+        afterEach(function () {
+            DocumentManager.closeAll();
+            holder.session = null;
+        });
+
+        return holder;
+    }
+
+    /**
+     * Opens a test window on the project at the given path before each spec of the
+     * current suite, and closes it after each spec.
+     * @param {!string} projectPath
+     * @returns {{testWindow: ?Window, extension: ?Object}} Holder of the test window
+     *      of the running spec, and of the main module of the extension loaded in it
+     */
+    function setupTestWindow(projectPath) {
+        var holder = {testWindow: null, extension: null};
+
+        beforeEach(function () {
+            SpecRunnerUtils.createTestWindowAndRun(this, function (w) {
+                holder.testWindow = w;
+            });
+
+            SpecRunnerUtils.loadProjectInTestWindow(projectPath);
+
+            runs(function () {
+                var extensionRequire = holder.testWindow.brackets.getModule("utils/ExtensionLoader")
+                    .getRequireContextForExtension("TypeScriptCodeIntel");
+                holder.extension = extensionRequire("main");
+            });
+        });
+
+        afterEach(function () {
+            SpecRunnerUtils.closeTestWindow();
+            holder.testWindow = null;
+            holder.extension = null;
+        });
+
+        return holder;
+    }
+
+    /**
+     * Opens the script at the given full path in the main editor of the test window,
+     * with the cursor at the given position, and makes the running spec wait for its
+     * session.
+     * @param {!{testWindow: Window, extension: Object}} holder Holder returned by setupTestWindow
+     * @param {!string} fullPath
+     * @param {!{line: number, ch: number}} pos
+     */
+    function openInTestWindow(holder, fullPath, pos) {
+        runs(function () {
+            waitsForDone(holder.extension.TypeScript.TypeScriptNavigation.goTo(fullPath, pos),
+                         "opening " + fullPath);
+        });
+
+        runs(function () {
+            waitsForDone(holder.extension.TypeScript.TypeScriptService.getSessionFromPath(fullPath),
+                         "loading the typescript session of " + fullPath, SESSION_TIMEOUT);
+        });
+    }
+
+    /**
+     * Returns the editor of the current document of the test window.
+     * @param {!{testWindow: Window}} holder Holder returned by setupTestWindow
+     * @returns {Editor}
+     */
+    function getTestEditor(holder) {
+        return holder.testWindow.brackets.test.EditorManager.getCurrentFullEditor();
+    }
+
+    // Define public API
+    exports.loadSession      = loadSession;
+    exports.setupSession     = setupSession;
+    exports.setupTestWindow  = setupTestWindow;
+    exports.openInTestWindow = openInTestWindow;
+    exports.getTestEditor    = getTestEditor;
+});
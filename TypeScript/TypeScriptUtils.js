@@ -28,6 +28,8 @@
 define(function (require, exports, module) {
     "use strict";
     
+    var EditorManager = brackets.getModule("editor/EditorManager");
+
     var MODE_NAME = "typescript";
     
     /**
@@ -81,9 +83,23 @@ define(function (require, exports, module) {
         return array;
     }
 
+    /**
+     * Returns the focused editor, or the main one if none is focused, when its
+     * selection is in typescript content.
+     * @returns {?Editor}
+     */
+    function getTypeScriptEditor() {
+        var editor = EditorManager.getFocusedEditor() || EditorManager.getCurrentFullEditor();
+        if (!editor || editor.getModeForSelection() !== MODE_NAME) {
+            return null;
+        }
+        return editor;
+    }
+
     // Define public API
-    exports.MODE_NAME      = MODE_NAME;
-    exports.eventName      = eventName;
-    exports.getObjectsDiff = getObjectsDiff;
-    exports.getObjectKeys  = getObjectKeys;
+    exports.MODE_NAME           = MODE_NAME;
+    exports.eventName           = eventName;
+    exports.getObjectsDiff      = getObjectsDiff;
+    exports.getObjectKeys       = getObjectKeys;
+    exports.getTypeScriptEditor = getTypeScriptEditor;
 });
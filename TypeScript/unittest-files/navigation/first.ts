@@ -0,0 +1,3 @@
+var first = 1;
+
+var firstAgain = first;
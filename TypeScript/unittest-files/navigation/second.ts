@@ -0,0 +1 @@
+var second = 2;
@@ -0,0 +1,304 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, waits, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils            = brackets.getModule("file/FileUtils"),
+        TypeScriptScheduler  = require("TypeScript/TypeScriptScheduler"),
+        TypeScriptFileGroups = require("TypeScript/TypeScriptFileGroups"),
+        TypeScriptSpecUtils  = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath  = FileUtils.getNativeModuleDirectoryPath(module),
+        navigationPath = extensionPath + "/unittest-files/navigation";
+
+    describe("TypeScript Scheduler", function () {
+
+        var tsDoc;
+
+        function change() {
+            $(tsDoc).triggerHandler("change");
+        }
+
+        beforeEach(function () {
+            tsDoc = {scriptName: "/scheduler-test.ts"};
+            TypeScriptScheduler.watch(tsDoc);
+        });
+
+        afterEach(function () {
+            TypeScriptScheduler.unwatch(tsDoc);
+            tsDoc = null;
+        });
+
+        it("should coalesce a burst of changes in one analysis", function () {
+            var analysisCount = 0;
+
+            $(TypeScriptScheduler).on("analysisReady.scheduler-test", function (event, readyTsDoc) {
+                if (readyTsDoc === tsDoc) {
+                    analysisCount++;
+                }
+            });
+
+            change();
+            change();
+            change();
+            expect(TypeScriptScheduler.getVersion(tsDoc)).toBe(3);
+
+            waits(TypeScriptScheduler.ANALYSIS_DELAY * 2);
+
+            runs(function () {
+                $(TypeScriptScheduler).off("analysisReady.scheduler-test");
+                expect(analysisCount).toBe(1);
+            });
+        });
+
+        it("should resolve a request with the result of its function", function () {
+            var result = null;
+
+            TypeScriptScheduler.request(tsDoc, function (requestTsDoc) {
+                return requestTsDoc.scriptName;
+            }).done(function (value) {
+                result = value;
+            });
+
+            waitsFor(function () {
+                return result !== null;
+            }, "Request not resolved", 1000);
+
+            runs(function () {
+                expect(result).toBe(tsDoc.scriptName);
+            });
+        });
+
+        it("should not notify the listeners of a request without change", function () {
+            var analysisCount = 0,
+                done = false;
+
+            $(TypeScriptScheduler).on("analysisReady.scheduler-test", function (event, readyTsDoc) {
+                if (readyTsDoc === tsDoc) {
+                    analysisCount++;
+                }
+            });
+
+            TypeScriptScheduler.request(tsDoc, function () {
+                return true;
+            }).done(function () {
+                done = true;
+            });
+
+            waitsFor(function () {
+                return done;
+            }, "Request not resolved", 1000);
+
+            runs(function () {
+                $(TypeScriptScheduler).off("analysisReady.scheduler-test");
+                expect(analysisCount).toBe(0);
+            });
+        });
+
+        it("should drop a request when a newer change arrives", function () {
+            var called = false,
+                rejection = null;
+
+            change();
+            TypeScriptScheduler.request(tsDoc, function () {
+                called = true;
+            }).fail(function (reason) {
+                rejection = reason;
+            });
+            change();
+
+            expect(rejection).toBe("stale");
+
+            waits(TypeScriptScheduler.ANALYSIS_DELAY * 2);
+
+            runs(function () {
+                expect(called).toBe(false);
+            });
+        });
+    });
+
+    describe("TypeScript File Groups", function () {
+
+        var items = [
+            {scriptName: "/b.ts", range: {start: {line: 3, ch: 0}}},
+            {scriptName: "/main.ts", range: {start: {line: 1, ch: 0}}},
+            {scriptName: "/a.ts", range: {start: {line: 2, ch: 0}}},
+            {scriptName: "/main.ts", range: {start: {line: 0, ch: 4}}}
+        ];
+
+        it("should group the items by file with the main script first", function () {
+            var files = TypeScriptFileGroups.groupByFile(items, "items", "/main.ts");
+            expect(files.map(function (file) {
+                return file.fullPath;
+            })).toEqual(["/main.ts", "/a.ts", "/b.ts"]);
+            expect(files[0].items.length).toBe(2);
+        });
+
+        it("should list the given files even without item", function () {
+            var files = TypeScriptFileGroups.groupByFile(items, "items", null, ["/c.ts"]);
+            expect(files.map(function (file) {
+                return file.fullPath;
+            })).toEqual(["/a.ts", "/b.ts", "/c.ts", "/main.ts"]);
+            expect(files[2].items).toEqual([]);
+        });
+
+        it("should compare the positions of a same script", function () {
+            expect(TypeScriptFileGroups.comparePositions({line: 1, ch: 0}, {line: 0, ch: 4})).toBeGreaterThan(0);
+            expect(TypeScriptFileGroups.comparePositions({line: 1, ch: 2}, {line: 1, ch: 4})).toBeLessThan(0);
+            expect(TypeScriptFileGroups.comparePositions({line: 1, ch: 2}, {line: 1, ch: 2})).toBe(0);
+        });
+
+        it("should find back the item rendered in a row", function () {
+            var files = TypeScriptFileGroups.groupByFile(items, "items", "/main.ts"),
+                template = "{{#files}}{{#items}}" +
+                    "<p data-file-index='{{fileIndex}}' data-item-index='{{itemIndex}}'>{{line}}</p>" +
+                    "{{/items}}{{/files}}",
+                $container = $("<div/>");
+
+            function convertItem(item) {
+                return {line: item.range.start.line};
+            }
+
+            TypeScriptFileGroups.renderFiles($container, template, files, "items", convertItem);
+
+            var $rows = $container.find("p"),
+                rowItem = TypeScriptFileGroups.getRowItem(files, "items", $rows.eq(1));
+            expect($rows.length).toBe(4);
+            expect(rowItem.file.fullPath).toBe("/main.ts");
+            expect(rowItem.item).toBe(items[3]);
+        });
+    });
+
+    describe("TypeScript Navigation", function () {
+
+        var test = TypeScriptSpecUtils.setupTestWindow(navigationPath),
+            TypeScriptNavigation,
+            firstPath = navigationPath + "/first.ts",
+            secondPath = navigationPath + "/second.ts";
+
+        function expectLocation(fullPath, pos) {
+            var editor = TypeScriptSpecUtils.getTestEditor(test);
+            expect(editor.document.file.fullPath).toBe(fullPath);
+            expect(editor.getCursorPos()).toEqual(pos);
+        }
+
+        beforeEach(function () {
+            runs(function () {
+                TypeScriptNavigation = test.extension.TypeScript.TypeScriptNavigation;
+
+                waitsForDone(TypeScriptNavigation.goTo(firstPath, {line: 2, ch: 4}), "goTo first.ts");
+            });
+        });
+
+        it("should go back to the location left by a jump", function () {
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goTo(secondPath, {line: 0, ch: 4}), "goTo second.ts");
+            });
+
+            runs(function () {
+                expect(TypeScriptNavigation.canGoBack()).toBe(true);
+                waitsForDone(TypeScriptNavigation.goBack(), "goBack");
+            });
+
+            runs(function () {
+                expectLocation(firstPath, {line: 2, ch: 4});
+                expect(TypeScriptNavigation.canGoForward()).toBe(true);
+            });
+        });
+
+        it("should go forward to the location left by going back", function () {
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goTo(secondPath, {line: 0, ch: 4}), "goTo second.ts");
+            });
+
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goBack(), "goBack");
+            });
+
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goForward(), "goForward");
+            });
+
+            runs(function () {
+                expectLocation(secondPath, {line: 0, ch: 4});
+                expect(TypeScriptNavigation.canGoForward()).toBe(false);
+            });
+        });
+
+        it("should clear the forward history after a new jump", function () {
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goTo(secondPath, {line: 0, ch: 4}), "goTo second.ts");
+            });
+
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goBack(), "goBack");
+            });
+
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goTo(firstPath, {line: 0, ch: 4}), "goTo first.ts");
+            });
+
+            runs(function () {
+                expect(TypeScriptNavigation.canGoForward()).toBe(false);
+            });
+        });
+
+        it("should drop the locations in a deleted directory", function () {
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goTo(secondPath, {line: 0, ch: 4}), "goTo second.ts");
+            });
+
+            runs(function () {
+                var DocumentManager = test.testWindow.brackets.test.DocumentManager;
+                $(DocumentManager).triggerHandler("pathDeleted", [navigationPath]);
+
+                expect(TypeScriptNavigation.canGoBack()).toBe(false);
+            });
+        });
+
+        it("should follow the locations in a renamed directory", function () {
+            var renamedPath = navigationPath + "-renamed";
+
+            runs(function () {
+                waitsForDone(TypeScriptNavigation.goTo(secondPath, {line: 0, ch: 4}), "goTo second.ts");
+            });
+
+            runs(function () {
+                var DocumentManager = test.testWindow.brackets.test.DocumentManager;
+                $(DocumentManager).triggerHandler("fileNameChange", [navigationPath, renamedPath]);
+                $(DocumentManager).triggerHandler("pathDeleted", [navigationPath]);
+
+                expect(TypeScriptNavigation.canGoBack()).toBe(true);
+                $(DocumentManager).triggerHandler("pathDeleted", [renamedPath]);
+
+                expect(TypeScriptNavigation.canGoBack()).toBe(false);
+            });
+        });
+    });
+});
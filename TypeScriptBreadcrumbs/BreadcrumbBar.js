@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, document */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var EditorManager        = brackets.getModule("editor/EditorManager"),
+        Mustache             = brackets.getModule("thirdparty/mustache/mustache"),
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        BarTemplate          = require("text!TypeScriptBreadcrumbs/htmlContent/breadcrumb-bar.html"),
+        BreadcrumbsTemplate  = require("text!TypeScriptBreadcrumbs/htmlContent/breadcrumbs.html");
+
+    /**
+     * The breadcrumb bar, above the editor.
+     * @type {jQueryObject}
+     * @private
+     */
+    var _$bar = null;
+
+    /**
+     * Script name of the file whose breadcrumbs are shown.
+     * @type {?string}
+     * @private
+     */
+    var _scriptName = null;
+
+    /**
+     * Breadcrumbs currently shown.
+     * @type {Array.<{name: string, kind: string, siblings: Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, current: boolean}>}>}
+     * @private
+     */
+    var _crumbs = [];
+
+    /**
+     * Closes the open dropdown, if any.
+     * @private
+     */
+    function _closeDropdown() {
+        if (_$bar) {
+            _$bar.find(".ts-breadcrumb.open").removeClass("open");
+        }
+    }
+
+    /**
+     * Renders the current breadcrumbs in the bar.
+     * @private
+     */
+    function _render() {
+        var crumbs = _crumbs.map(function (crumb, crumbIndex) {
+            return {
+                index: crumbIndex,
+                name: crumb.name,
+                kind: crumb.kind,
+                siblings: crumb.siblings.map(function (sibling, siblingIndex) {
+                    return {
+                        index: siblingIndex,
+                        name: sibling.name,
+                        kind: sibling.kind,
+                        current: sibling.current
+                    };
+                })
+            };
+        });
+
+        _$bar.empty().append(Mustache.render(BreadcrumbsTemplate, {crumbs: crumbs}));
+    }
+
+    /**
+     * Opens the siblings dropdown of the clicked crumb, or closes it if it is open.
+     * @param event
+     * @private
+     */
+    function _handleToggleClick(event) {
+        var $crumb = $(event.currentTarget).closest(".ts-breadcrumb"),
+            wasOpen = $crumb.hasClass("open");
+
+        event.preventDefault();
+        event.stopPropagation();
+        _closeDropdown();
+        if (!wasOpen) {
+            $crumb.addClass("open");
+        }
+    }
+
+    /**
+     * Selects the name of the clicked sibling in the editor.
+     * @param event
+     * @private
+     */
+    function _handleSiblingClick(event) {
+        var crumb = _crumbs[$(event.currentTarget).closest(".ts-breadcrumb").data("crumb-index")],
+            sibling = crumb && crumb.siblings[$(event.currentTarget).data("sibling-index")];
+
+        event.preventDefault();
+        event.stopPropagation();
+        _closeDropdown();
+        if (sibling && _scriptName) {
+            TypeScriptNavigation.goTo(_scriptName, sibling.range.start, sibling.range.end);
+        }
+    }
+
+    /**
+     * Replaces the breadcrumbs shown in the bar.
+     * @param {?string} scriptName
+     * @param {!Array.<{name: string, kind: string, siblings: Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, current: boolean}>}>} crumbs
+     */
+    function setBreadcrumbs(scriptName, crumbs) {
+        _scriptName = scriptName;
+        _crumbs = crumbs;
+        if (_$bar) {
+            _render();
+        }
+    }
+
+    /**
+     * Shows or hides the bar, resizing the editor accordingly.
+     * @param {!boolean} visible
+     */
+    function setVisible(visible) {
+        if (!_$bar || visible === _$bar.is(":visible")) {
+            return;
+        }
+        _$bar.toggle(visible);
+        EditorManager.resizeEditor();
+    }
+
+    /**
+     * Creates the hidden bar above the editor. Must be called once when the
+     * application is ready.
+     */
+    function init() {
+        _$bar = $(BarTemplate).hide();
+        _$bar
+            .on("click", ".ts-breadcrumb-toggle", _handleToggleClick)
+            .on("click", ".ts-breadcrumb-sibling", _handleSiblingClick);
+        $("#editor-holder").before(_$bar);
+        $(document).on("click", _closeDropdown);
+        _render();
+    }
+
+    // Define public API
+    exports.init           = init;
+    exports.setBreadcrumbs = setBreadcrumbs;
+    exports.setVisible     = setVisible;
+});
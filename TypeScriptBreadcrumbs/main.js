@@ -0,0 +1,175 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit             = brackets.getModule("utils/AppInit"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        ExtensionUtils      = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils     = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService   = require("TypeScript/main").TypeScriptService,
+        TypeScriptScheduler = require("TypeScript/main").TypeScriptScheduler,
+        BreadcrumbBar       = require("TypeScriptBreadcrumbs/BreadcrumbBar");
+
+    /**
+     * Editor whose cursor is followed.
+     * @type {Editor}
+     * @private
+     */
+    var _editor = null;
+
+    /**
+     * Incremented at each cursor move, so the breadcrumbs found for a previous
+     * cursor position are ignored.
+     * @type {number}
+     * @private
+     */
+    var _cursorVersion = 0;
+
+    /**
+     * Get a typescript-breadcrumbs-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-breadcrumbs";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Returns whether the given ranges start at the same position.
+     * @param {!{start: {line: number, ch: number}}} a
+     * @param {!{start: {line: number, ch: number}}} b
+     * @returns {boolean}
+     * @private
+     */
+    function _isSameStart(a, b) {
+        return a.start.line === b.start.line && a.start.ch === b.start.ch;
+    }
+
+    /**
+     * Returns the breadcrumbs of the given position in the given TypeScriptDocument
+     * main script: the chain of its enclosing modules, classes, interfaces and
+     * functions, outermost first. Each crumb lists the declarations sharing its
+     * container, itself included and marked as current.
+     * @param {!TypeScriptDocument} tsDoc
+     * @param {!{line: number, ch: number}} pos
+     * @returns {Array.<{name: string, kind: string, siblings: Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, current: boolean}>}>}
+     */
+    function getBreadcrumbs(tsDoc, pos) {
+        var structure = tsDoc.getLexicalStructure();
+
+        return tsDoc.getContainersAtPosition(pos).map(function (container) {
+            var siblings = structure.filter(function (item) {
+                return item.containerName === container.containerName;
+            }).map(function (item) {
+                return {
+                    name: item.name,
+                    kind: item.kind,
+                    range: item.range,
+                    current: _isSameStart(item.range, container.range)
+                };
+            });
+
+            // The local functions are not part of the lexical structure
+            var isListed = siblings.some(function (sibling) {
+                return sibling.current;
+            });
+            if (!isListed) {
+                siblings.unshift({
+                    name: container.name,
+                    kind: container.kind,
+                    range: container.range,
+                    current: true
+                });
+            }
+            return {
+                name: container.name,
+                kind: container.kind,
+                siblings: siblings
+            };
+        });
+    }
+
+    /**
+     * When the cursor moves, shows the breadcrumbs of its position once the edits
+     * of the document have settled.
+     * @private
+     */
+    function _handleCursorActivity() {
+        var editor = _editor,
+            cursorVersion = ++_cursorVersion;
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            TypeScriptScheduler.request(session.tsDoc, function (tsDoc) {
+                return getBreadcrumbs(tsDoc, editor.getCursorPos());
+            }).done(function (crumbs) {
+                // Ignore the breadcrumbs if the cursor has moved meanwhile
+                if (cursorVersion === _cursorVersion && editor === _editor) {
+                    BreadcrumbBar.setBreadcrumbs(session.tsDoc.scriptName, crumbs);
+                }
+            });
+        });
+    }
+
+    /**
+     * When the active editor is changed, stop following the cursor of the previous
+     * one and follow the cursor of the new one if it's a typescript editor. The bar
+     * is only shown for typescript editors.
+     * @param event
+     * @param {?Editor} current
+     * @private
+     */
+    function _handleActiveEditorChange(event, current) {
+        if (_editor) {
+            $(_editor).off(eventName("cursorActivity"));
+            _editor = null;
+        }
+        BreadcrumbBar.setBreadcrumbs(null, []);
+        if (current && current.getModeForSelection() === TypeScriptUtils.MODE_NAME) {
+            _editor = current;
+            $(_editor).on(eventName("cursorActivity"), _handleCursorActivity);
+            BreadcrumbBar.setVisible(true);
+            _handleCursorActivity();
+        } else {
+            BreadcrumbBar.setVisible(false);
+        }
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    AppInit.appReady(function () {
+        BreadcrumbBar.init();
+
+        // Listen for activeEditorChange event
+        $(EditorManager).on(eventName("activeEditorChange"), _handleActiveEditorChange);
+        _handleActiveEditorChange(null, EditorManager.getCurrentFullEditor());
+    });
+
+    // Define public API
+    exports.getBreadcrumbs = getBreadcrumbs;
+});
@@ -0,0 +1,24 @@
+module Outer.Inner {
+    export class Widget {
+        render() {
+            function local() {
+                return 2;
+            }
+            return local();
+        }
+
+        get size() {
+            return 1;
+        }
+    }
+
+    export interface Options {
+        width: number;
+    }
+}
+
+function main() {
+    var callback = function () {
+        return 0;
+    };
+}
@@ -0,0 +1,152 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils             = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils   = require("TypeScript/TypeScriptSpecUtils"),
+        TypeScriptBreadcrumbs = require("TypeScriptBreadcrumbs/main");
+
+    var extensionPath   = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath     = extensionPath + "/unittest-files",
+        breadcrumbsPath = extensionPath + "/unittest-files/breadcrumbs.ts";
+
+    describe("TypeScript Breadcrumbs", function () {
+
+        function getNames(items) {
+            return items.map(function (item) {
+                return item.name;
+            });
+        }
+
+        describe("getContainersAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(breadcrumbsPath);
+
+            it("should find the enclosing declarations, outermost first", function () {
+                var containers = spec.session.tsDoc.getContainersAtPosition({line: 4, ch: 16});
+                expect(getNames(containers)).toEqual(["Outer", "Inner", "Widget", "render", "local"]);
+                expect(containers[2]).toEqual({
+                    name: "Widget",
+                    kind: "class",
+                    containerName: "Outer.Inner",
+                    range: {start: {line: 1, ch: 17}, end: {line: 1, ch: 23}},
+                    declarationRange: {start: {line: 1, ch: 4}, end: {line: 12, ch: 5}}
+                });
+                expect(containers[0].containerName).toBe("");
+                expect(containers[4].containerName).toBe("Outer.Inner.Widget.render");
+            });
+
+            it("should skip the function expressions", function () {
+                expect(getNames(spec.session.tsDoc.getContainersAtPosition({line: 21, ch: 10}))).toEqual(["main"]);
+            });
+
+            it("should not find containers at the top level", function () {
+                expect(spec.session.tsDoc.getContainersAtPosition({line: 18, ch: 0})).toEqual([]);
+            });
+        });
+
+        describe("getBreadcrumbs", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(breadcrumbsPath);
+
+            it("should list the siblings of each crumb and mark the current one", function () {
+                var crumbs = TypeScriptBreadcrumbs.getBreadcrumbs(spec.session.tsDoc, {line: 10, ch: 12});
+                expect(getNames(crumbs)).toEqual(["Outer", "Inner", "Widget", "size"]);
+                expect(getNames(crumbs[0].siblings)).toEqual(["Outer", "main"]);
+                expect(getNames(crumbs[2].siblings)).toEqual(["Widget", "Options"]);
+                expect(crumbs[3].kind).toBe("getter");
+                expect(crumbs[3].siblings).toEqual([{
+                    name: "render",
+                    kind: "method",
+                    range: {start: {line: 2, ch: 8}, end: {line: 2, ch: 14}},
+                    current: false
+                }, {
+                    name: "size",
+                    kind: "getter",
+                    range: {start: {line: 9, ch: 12}, end: {line: 9, ch: 16}},
+                    current: true
+                }]);
+            });
+
+            it("should list a local function as its own sibling", function () {
+                var crumbs = TypeScriptBreadcrumbs.getBreadcrumbs(spec.session.tsDoc, {line: 4, ch: 16});
+                expect(crumbs[4].siblings).toEqual([{
+                    name: "local",
+                    kind: "function",
+                    range: {start: {line: 3, ch: 21}, end: {line: 3, ch: 26}},
+                    current: true
+                }]);
+            });
+        });
+
+        describe("breadcrumb bar", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function getCrumbs() {
+                return test.testWindow.$("#typescript-breadcrumbs .ts-breadcrumb");
+            }
+
+            beforeEach(function () {
+                TypeScriptSpecUtils.openInTestWindow(test, breadcrumbsPath, {line: 10, ch: 12});
+
+                waitsFor(function () {
+                    return getCrumbs().length > 0;
+                }, "Breadcrumbs not shown", 2000);
+            });
+
+            it("should show the declarations enclosing the cursor", function () {
+                expect(test.testWindow.$("#typescript-breadcrumbs").is(":visible")).toBe(true);
+                expect(getCrumbs().length).toBe(4);
+                expect(getCrumbs().last().children(".ts-breadcrumb-toggle").text()).toBe("getter size");
+            });
+
+            it("should select a sibling picked in the dropdown of a crumb", function () {
+                runs(function () {
+                    var $crumb = getCrumbs().last();
+                    $crumb.children(".ts-breadcrumb-toggle").click();
+                    expect($crumb.hasClass("open")).toBe(true);
+                    $crumb.find(".ts-breadcrumb-sibling").first().click();
+                    expect($crumb.hasClass("open")).toBe(false);
+                });
+
+                waitsFor(function () {
+                    return TypeScriptSpecUtils.getTestEditor(test).getSelection().start.line === 2;
+                }, "Sibling not selected", 1000);
+
+                runs(function () {
+                    var selection = TypeScriptSpecUtils.getTestEditor(test).getSelection();
+                    expect(selection.start).toEqual({line: 2, ch: 8});
+                    expect(selection.end).toEqual({line: 2, ch: 14});
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,249 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var EditorManager       = brackets.getModule("editor/EditorManager"),
+        KeyEvent            = brackets.getModule("utils/KeyEvent"),
+        Mustache            = brackets.getModule("thirdparty/mustache/mustache"),
+        TypeScriptService   = require("TypeScript/main").TypeScriptService,
+        TypeScriptScheduler = require("TypeScript/main").TypeScriptScheduler,
+        PopupTemplate       = require("text!TypeScriptCodeHints/htmlContent/signature-help.html"),
+        SignaturesTemplate  = require("text!TypeScriptCodeHints/htmlContent/signatures.html");
+
+    /**
+     * The popup, appended to the body.
+     * @type {jQueryObject}
+     * @private
+     */
+    var _$popup = null;
+
+    /**
+     * Editor whose cursor is followed while the popup is open.
+     * @type {Editor}
+     * @private
+     */
+    var _editor = null;
+
+    /**
+     * Signature help shown.
+     * @type {?{signatures: Array.<{name: string, parameters: Array.<{name: string, type: string, isOptional: boolean, isVariable: boolean}>, returnType: string}>, activeSignature: number, activeParameter: number, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}}
+     * @private
+     */
+    var _signatureHelp = null;
+
+    /**
+     * Index of the selected signature, changed with the arrow keys.
+     * @type {number}
+     * @private
+     */
+    var _selectedIndex = 0;
+
+    /**
+     * Incremented at each cursor move, so the signature help found for a previous
+     * cursor position is ignored.
+     * @type {number}
+     * @private
+     */
+    var _cursorVersion = 0;
+
+    /**
+     * Get a typescript-signature-help-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-signature-help";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Returns the label of the given parameter, like "name?: string" or
+     * "...values: number[]".
+     * @param {!{name: string, type: string, isOptional: boolean, isVariable: boolean}} parameter
+     * @returns {string}
+     * @private
+     */
+    function _getParameterLabel(parameter) {
+        return (parameter.isVariable ? "..." : "") + parameter.name + (parameter.isOptional ? "?" : "") +
+            ": " + parameter.type;
+    }
+
+    /**
+     * Renders all the signatures of the shown signature help, the selected one
+     * highlighted, with their parameter at the cursor in bold, and places the popup
+     * above the opening parenthesis.
+     * @private
+     */
+    function _render() {
+        var activeParameter = _signatureHelp.activeParameter;
+
+        _$popup.html(Mustache.render(SignaturesTemplate, {
+            signatures: _signatureHelp.signatures.map(function (signature, index) {
+                var lastIndex = signature.parameters.length - 1,
+                    isVariable = lastIndex >= 0 && signature.parameters[lastIndex].isVariable;
+                return {
+                    name: signature.name,
+                    selected: index === _selectedIndex,
+                    parameters: signature.parameters.map(function (parameter, parameterIndex) {
+                        return {
+                            label: _getParameterLabel(parameter),
+                            // The arguments after the last parameter are part of the variable one
+                            active: parameterIndex === activeParameter ||
+                                (isVariable && parameterIndex === lastIndex && activeParameter > lastIndex),
+                            last: parameterIndex === lastIndex
+                        };
+                    }),
+                    returnType: signature.returnType
+                };
+            })
+        }));
+
+        var coords = _editor._codeMirror.charCoords(_signatureHelp.range.start, "page"),
+            top = coords.top - _$popup.outerHeight() - 2;
+        if (top < 0) {
+            top = coords.bottom + 2;
+        }
+        _$popup.css({left: coords.left, top: top}).show();
+    }
+
+    /**
+     * Hides the popup and stops following the cursor.
+     */
+    function close() {
+        if (_editor) {
+            $(_editor).off(eventName("cursorActivity")).off(eventName("keyEvent"));
+            _editor = null;
+        }
+        _signatureHelp = null;
+        _cursorVersion++;
+        if (_$popup) {
+            _$popup.hide();
+        }
+    }
+
+    /**
+     * Shows the signature help of the call at the cursor once the edits of the
+     * document have settled, or closes the popup if the cursor is not in the
+     * arguments of a call anymore. The selected signature is kept while the cursor
+     * stays in the same call.
+     * @private
+     */
+    function _update() {
+        var editor = _editor,
+            cursorVersion = ++_cursorVersion;
+
+        function isCursorUnmoved() {
+            return cursorVersion === _cursorVersion && editor === _editor;
+        }
+
+        // Without signature help, because a newer edit made the request stale or the
+        // session failed, the popup would show outdated signatures
+        function closeIfCursorUnmoved() {
+            if (isCursorUnmoved()) {
+                close();
+            }
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            TypeScriptScheduler.request(session.tsDoc, function (tsDoc) {
+                return tsDoc.getSignatureHelpAtPosition(editor.getCursorPos());
+            }).done(function (signatureHelp) {
+                // Ignore the signature help if the cursor has moved meanwhile
+                if (!isCursorUnmoved()) {
+                    return;
+                }
+                if (!signatureHelp) {
+                    close();
+                    return;
+                }
+                var isSameCall = _signatureHelp &&
+                    _signatureHelp.range.start.line === signatureHelp.range.start.line &&
+                    _signatureHelp.range.start.ch === signatureHelp.range.start.ch;
+                if (!isSameCall) {
+                    _selectedIndex = signatureHelp.activeSignature;
+                }
+                _signatureHelp = signatureHelp;
+                _render();
+            }).fail(closeIfCursorUnmoved);
+        }).fail(closeIfCursorUnmoved);
+    }
+
+    /**
+     * Cycles the overloads with the up and down arrow keys and closes the popup with
+     * the escape key. The keys already handled, by the hint list for instance, are
+     * ignored.
+     * @param jqEvent
+     * @param {!Editor} editor
+     * @param {!KeyboardEvent} event
+     * @private
+     */
+    function _handleKeyEvent(jqEvent, editor, event) {
+        if (event.type !== "keydown" || event.defaultPrevented || !_signatureHelp) {
+            return;
+        }
+
+        var count = _signatureHelp.signatures.length;
+        if (event.keyCode === KeyEvent.DOM_VK_ESCAPE) {
+            close();
+        } else if (count > 1 && (event.keyCode === KeyEvent.DOM_VK_UP || event.keyCode === KeyEvent.DOM_VK_DOWN)) {
+            _selectedIndex = (_selectedIndex + (event.keyCode === KeyEvent.DOM_VK_UP ? count - 1 : 1)) % count;
+            _render();
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Opens the popup for the given editor. It follows the cursor until the
+     * parenthesis of the call is closed or the cursor leaves its arguments.
+     * @param {!Editor} editor
+     */
+    function open(editor) {
+        if (editor !== _editor) {
+            close();
+            _editor = editor;
+            $(_editor)
+                .on(eventName("cursorActivity"), _update)
+                .on(eventName("keyEvent"), _handleKeyEvent);
+        }
+        _update();
+    }
+
+    /**
+     * Creates the hidden popup. Must be called once when the application is ready.
+     */
+    function init() {
+        _$popup = $(PopupTemplate).hide();
+        $("body").append(_$popup);
+        $(EditorManager).on(eventName("activeEditorChange"), close);
+    }
+
+    // Define public API
+    exports.init  = init;
+    exports.open  = open;
+    exports.close = close;
+});
@@ -32,8 +32,10 @@ define(function (require, exports, module) {
 		CodeHintManager   = brackets.getModule("editor/CodeHintManager"),
         Async             = brackets.getModule("utils/Async"),
         StringUtils       = brackets.getModule("utils/StringUtils"),
+        ExtensionUtils    = brackets.getModule("utils/ExtensionUtils"),
         TypeScriptUtils   = require("TypeScript/main").TypeScriptUtils,
-        TypeScriptService = require("TypeScript/main").TypeScriptService;
+        TypeScriptService = require("TypeScript/main").TypeScriptService,
+        SignatureHelp     = require("TypeScriptCodeHints/SignatureHelp");
     
     var SINGLE_QUOTE    = "\'",
         DOUBLE_QUOTE    = "\"";
@@ -242,6 +244,7 @@ define(function (require, exports, module) {
 	function TsHints() {
 		this.primaryTriggerKeys = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_";
 		this.secondaryTriggerKeys = ".(";
+		this.signatureTriggerKeys = "(,";
 	}
 
 	/**
@@ -258,13 +261,17 @@ define(function (require, exports, module) {
 	 * @return {Boolean}
 	 * Determines whether the current provider is able to provide hints for
 	 * the given editor context and, in case implicitChar is non- null,
-	 * whether it is appropriate to do so.
+	 * whether it is appropriate to do so. The signature trigger keys also open
+	 * the signature help.
 	 */
 	TsHints.prototype.hasHints = function (editor, implicitChar) {
 		this.editor = editor;
         this.currentText = "";
 		var result = true;
 
+		if (implicitChar && this.signatureTriggerKeys.indexOf(implicitChar) !== -1) {
+			SignatureHelp.open(editor);
+		}
 		if (implicitChar) {
 			result = (this.primaryTriggerKeys.indexOf(implicitChar) !== -1) ||
 				(this.secondaryTriggerKeys.indexOf(implicitChar) !== -1);
@@ -348,7 +355,11 @@ define(function (require, exports, module) {
 		return keepHints;
 	};
 
+	ExtensionUtils.loadStyleSheet(module, "styles.css");
+
 	AppInit.appReady(function () {
+		SignatureHelp.init();
+
 		var tsHints = new TsHints();
 		CodeHintManager.registerHintProvider(tsHints, [TypeScriptUtils.MODE_NAME], 0);
 
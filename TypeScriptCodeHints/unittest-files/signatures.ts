@@ -0,0 +1,16 @@
+function pad(text: string, width: number): string;
+function pad(text: string, width: number, fill: string): string;
+function pad(text: string, width: number, fill?: string) {
+    return text;
+}
+
+class Point {
+    constructor (public x: number, public y: number) {
+    }
+}
+
+var padded = pad("a", 2);
+var point = new Point(1, 2);
+var nested = pad("a", Math.max(1, 2), "-");
+var sum = Math.max(1, 2, 3) + pad("b", 3).length;
+var incomplete = pad("c", 
@@ -23,7 +23,7 @@
 
 
 /*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
-/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone, spyOn */
 
 define(function (require, exports, module) {
     "use strict";
@@ -34,10 +34,15 @@ define(function (require, exports, module) {
         DocumentManager     = brackets.getModule("document/DocumentManager"),
         SpecRunnerUtils     = brackets.getModule("spec/SpecRunnerUtils"),
         UnitTestReporter    = brackets.getModule("test/UnitTestReporter"),
-        TypeScriptCodeHints = require("TypeScriptCodeHints/main");
+        KeyEvent            = brackets.getModule("utils/KeyEvent"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils"),
+        TypeScriptCodeHints = require("TypeScriptCodeHints/main"),
+        SignatureHelp       = require("TypeScriptCodeHints/SignatureHelp");
 
     var extensionPath   = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath     = extensionPath + "/unittest-files",
         testPath        = extensionPath + "/unittest-files/file1.ts",
+        signaturesPath  = extensionPath + "/unittest-files/signatures.ts",
         testDoc         = null,
         testEditor;
 
@@ -324,6 +329,16 @@ define(function (require, exports, module) {
                 testEditor.setCursorPos({ line: 17, ch: 10 });
                 expectHints(TypeScriptCodeHints.tsHintProvider, ".");
             });
+
+            it("should open the signature help on left-parenthesis and comma", function () {
+                spyOn(SignatureHelp, "open");
+                testEditor.setCursorPos({ line: 20, ch: 20 });
+                // The left-parenthesis still asks for hints
+                expect(TypeScriptCodeHints.tsHintProvider.hasHints(testEditor, "(")).toBe(true);
+                expectNoHints(TypeScriptCodeHints.tsHintProvider, ",");
+                expect(SignatureHelp.open.callCount).toBe(2);
+                expect(SignatureHelp.open.mostRecentCall.args).toEqual([testEditor]);
+            });
             
             it("should insert value hints with no current query", function () {
                 var start = { line: 6, ch: 0 },
@@ -438,6 +453,128 @@ define(function (require, exports, module) {
 //            });
             
         });
+
+        describe("TypeScript Signature Help", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(signaturesPath);
+
+            function getLabels(signatureHelp) {
+                return signatureHelp.signatures.map(function (signature) {
+                    return signature.name + "(" + signature.parameters.map(function (parameter) {
+                        return parameter.name;
+                    }).join(", ") + "): " + signature.returnType;
+                });
+            }
+
+            it("should list all the overloads of the called function", function () {
+                var signatureHelp = spec.session.tsDoc.getSignatureHelpAtPosition({line: 11, ch: 17});
+                expect(getLabels(signatureHelp)).toEqual(["pad(text, width): string", "pad(text, width, fill): string"]);
+                expect(signatureHelp.activeSignature).toBe(0);
+                expect(signatureHelp.activeParameter).toBe(0);
+                expect(signatureHelp.range).toEqual({start: {line: 11, ch: 16}, end: {line: 11, ch: 24}});
+            });
+
+            it("should give the overload resolved for the arguments and the argument at the position", function () {
+                var signatureHelp = spec.session.tsDoc.getSignatureHelpAtPosition({line: 13, ch: 40});
+                expect(signatureHelp.activeSignature).toBe(1);
+                expect(signatureHelp.activeParameter).toBe(2);
+            });
+
+            it("should give the signature of a constructor", function () {
+                var signatureHelp = spec.session.tsDoc.getSignatureHelpAtPosition({line: 12, ch: 25});
+                expect(getLabels(signatureHelp)).toEqual(["Point(x, y): Point"]);
+                expect(signatureHelp.activeParameter).toBe(1);
+                expect(signatureHelp.signatures[0].parameters[1]).toEqual({
+                    name: "y",
+                    type: "number",
+                    isOptional: false,
+                    isVariable: false
+                });
+            });
+
+            it("should give the signature while the arguments are typed", function () {
+                var signatureHelp = spec.session.tsDoc.getSignatureHelpAtPosition({line: 15, ch: 25});
+                expect(signatureHelp.signatures[0].name).toBe("pad");
+                expect(signatureHelp.activeParameter).toBe(1);
+            });
+
+            it("should not give a signature once the parenthesis is closed", function () {
+                expect(spec.session.tsDoc.getSignatureHelpAtPosition({line: 11, ch: 24})).toBe(null);
+                expect(spec.session.tsDoc.getSignatureHelpAtPosition({line: 11, ch: 10})).toBe(null);
+            });
+        });
+
+        describe("TypeScript Signature Help popup", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function getPopup() {
+                return test.testWindow.$("#typescript-signature-help");
+            }
+
+            function getSelectedLabel() {
+                return getPopup().find(".ts-signature-selected").text();
+            }
+
+            function keyDown(keyCode) {
+                var editor = TypeScriptSpecUtils.getTestEditor(test),
+                    event = {
+                        type: "keydown",
+                        keyCode: keyCode,
+                        defaultPrevented: false,
+                        preventDefault: function () {
+                            this.defaultPrevented = true;
+                        }
+                    };
+                test.testWindow.$(editor).triggerHandler("keyEvent", [editor, event]);
+            }
+
+            // Types the given trigger key, the way the code hint manager asks for hints
+            function openAt(pos, triggerKey) {
+                TypeScriptSpecUtils.openInTestWindow(test, signaturesPath, pos);
+
+                runs(function () {
+                    var provider = test.extension.TypeScriptCodeHints.tsHintProvider;
+                    provider.hasHints(TypeScriptSpecUtils.getTestEditor(test), triggerKey);
+                });
+
+                waitsFor(function () {
+                    return getPopup().is(":visible");
+                }, "Signature help not shown", 2000);
+            }
+
+            it("should cycle the overloads with the arrow keys", function () {
+                openAt({line: 11, ch: 17}, "(");
+
+                runs(function () {
+                    expect(getPopup().find(".ts-signature").length).toBe(2);
+                    expect(getSelectedLabel()).toBe("pad(text: string, width: number): string");
+                    expect(getPopup().find(".ts-signature-parameter-active").first().text()).toBe("text: string");
+
+                    keyDown(KeyEvent.DOM_VK_DOWN);
+                    expect(getSelectedLabel()).toBe("pad(text: string, width: number, fill: string): string");
+                    keyDown(KeyEvent.DOM_VK_DOWN);
+                    expect(getSelectedLabel()).toBe("pad(text: string, width: number): string");
+                    keyDown(KeyEvent.DOM_VK_UP);
+                    expect(getSelectedLabel()).toBe("pad(text: string, width: number, fill: string): string");
+                });
+            });
+
+            it("should close the popup once the parenthesis of the call is closed", function () {
+                openAt({line: 15, ch: 26}, ",");
+
+                runs(function () {
+                    var editor = TypeScriptSpecUtils.getTestEditor(test);
+                    expect(getSelectedLabel()).toContain("pad(");
+                    editor.document.replaceRange(")", {line: 15, ch: 26});
+                    editor.setCursorPos(15, 27);
+                });
+
+                waitsFor(function () {
+                    return !getPopup().is(":visible");
+                }, "Signature help not closed", 2000);
+            });
+        });
         
 //        //TODO TOM: change fichier testPath ici pour pointer sur un nouveau fichier.ts
 //        // et tester le code hint avec les class, propriété, méthodes...
@@ -0,0 +1,259 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var DocumentManager    = brackets.getModule("document/DocumentManager"),
+        TypeScriptDocument = require("TypeScript/TypeScriptDocument"),
+        DiagnosticsConfig  = require("TypeScriptDiagnostics/DiagnosticsConfig"),
+        ReferenceGraph     = require("TypeScriptDiagnostics/ReferenceGraph");
+
+    /**
+     * Maximum number of errors asked to the typescript language service.
+     * @type {number}
+     */
+    var MAX_ERRORS = 100;
+
+    /**
+     * Matches a comment suppressing the errors of the next line.
+     * @type {RegExp}
+     */
+    var SUPPRESS_REGEXP = /\/\/\s*ts-suppress\b/;
+
+    /**
+     * Returns whether the errors of the given line are suppressed by a comment on the
+     * previous line.
+     * @param {!Array.<string>} lines Lines of the script
+     * @param {!number} line
+     * @returns {boolean}
+     */
+    function isLineSuppressed(lines, line) {
+        return line > 0 && SUPPRESS_REGEXP.test(lines[line - 1] || "");
+    }
+
+    /**
+     * Removes the suppressed errors and the errors whose category is ignored, then
+     * sets the configured severity of the remaining ones.
+     * @param {!TypeScriptDocument} tsDoc TypeScriptDocument that contains the scripts
+     *      of the errors
+     * @param {!Array.<{message: string, category: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} errors
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     * @private
+     */
+    function _applyConfig(tsDoc, errors) {
+        var linesCache = {};
+
+        function getLines(scriptName) {
+            if (!linesCache.hasOwnProperty(scriptName)) {
+                linesCache[scriptName] = (tsDoc.getScriptText(scriptName) || "").split("\n");
+            }
+            return linesCache[scriptName];
+        }
+
+        return errors.filter(function (error) {
+            if (isLineSuppressed(getLines(error.scriptName), error.range.start.line)) {
+                return false;
+            }
+            error.severity = DiagnosticsConfig.getSeverity(error.category);
+            return error.severity !== DiagnosticsConfig.Severity.IGNORE;
+        });
+    }
+
+    /**
+     * Returns the errors of the given TypeScriptDocument script.
+     * @param {!TypeScriptDocument} tsDoc
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getScriptErrors(tsDoc) {
+        return _applyConfig(tsDoc, tsDoc.getScriptErrors(MAX_ERRORS));
+    }
+
+    /**
+     * Returns the errors of all the scripts of the given TypeScriptDocument.
+     * @param {!TypeScriptDocument} tsDoc
+     * @param {number=} maxCount Maximum number of errors, MAX_ERRORS by default
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getDocumentErrors(tsDoc, maxCount) {
+        return _applyConfig(tsDoc, tsDoc.getErrors(maxCount || MAX_ERRORS));
+    }
+
+    /**
+     * Returns the errors of all the scripts attached to the given session.
+     * @param {!TypeScriptSession} session
+     * @param {number=} maxCount Maximum number of errors, MAX_ERRORS by default
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getSessionErrors(session, maxCount) {
+        return getDocumentErrors(session.tsDoc, maxCount);
+    }
+
+    /**
+     * Returns an error for each reference of the given session scripts that could
+     * not be resolved.
+     * @param {!TypeScriptSession} session
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getReferenceErrors(session) {
+        var tsDoc = session.tsDoc,
+            errors = [];
+
+        session.getUnresolvedReferences().forEach(function (reference) {
+            // The references of the main script move while it is edited
+            var range = (reference.scriptName === tsDoc.scriptName) ?
+                    tsDoc.getReferenceRange(reference.relativePath) : reference.range;
+            if (range) {
+                errors.push({
+                    message: "Unable to load the referenced file '" + reference.relativePath + "'",
+                    category: "reference",
+                    range: range,
+                    scriptName: reference.scriptName
+                });
+            }
+        });
+        return _applyConfig(tsDoc, errors);
+    }
+
+    /**
+     * Returns a warning for each reference of the given session main script which
+     * brings in, directly or indirectly, none of the scripts declaring the symbols
+     * used by the main script. Each warning comes with a fix removing the reference
+     * line.
+     * Nothing is reported while the main script has syntax errors since its symbols
+     * can't be resolved.
+     * @param {!TypeScriptSession} session
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, fix: {description: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}}>}
+     */
+    function getUnusedReferenceErrors(session) {
+        var tsDoc = session.tsDoc,
+            errors = [];
+
+        var hasSyntaxErrors = tsDoc.getScriptErrors(MAX_ERRORS).some(function (error) {
+            return error.category === "syntax";
+        });
+        if (hasSyntaxErrors) {
+            return errors;
+        }
+
+        var usedScriptNames = tsDoc.getUsedScriptNames();
+        TypeScriptDocument.getReferenceDirectives(tsDoc.getText()).forEach(function (reference) {
+            var fullPath = tsDoc.getFullPath(reference.relativePath),
+                line = reference.range.start.line,
+                isUsed = session.getIncludedPaths(fullPath).some(function (includedPath) {
+                    return usedScriptNames.hasOwnProperty(includedPath);
+                });
+            if (session.isAttached(fullPath) && !isUsed) {
+                errors.push({
+                    message: "The referenced file '" + reference.relativePath + "' is not used",
+                    category: "unusedReference",
+                    range: reference.range,
+                    scriptName: tsDoc.scriptName,
+                    fix: {
+                        description: "Remove",
+                        range: {start: {line: line, ch: 0}, end: {line: line + 1, ch: 0}}
+                    }
+                });
+            }
+        });
+        return _applyConfig(tsDoc, errors);
+    }
+
+    /**
+     * Applies the fix of the given error to its document.
+     * @param {!{scriptName: string, fix: {description: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}}} error
+     * @returns {$.Promise} A promise object that will be resolved when the fix is applied
+     */
+    function applyFix(error) {
+        var result = new $.Deferred();
+
+        DocumentManager.getDocumentForPath(error.scriptName)
+            .done(function (doc) {
+                doc.replaceRange("", error.fix.range.start, error.fix.range.end);
+                result.resolve();
+            })
+            .fail(function (fileError) {
+                console.error("Unable to apply the fix: ", error.scriptName, fileError);
+                result.reject(fileError);
+            });
+        return result.promise();
+    }
+
+    /**
+     * Analyses the given reference graph of the given session main script and
+     * returns its cycles and concatenation order problems.
+     * @param {!TypeScriptSession} session
+     * @param {!{root: string, files: Object}} graph Graph built by ReferenceGraph.buildGraph
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getReferenceGraphErrors(session, graph) {
+        return _applyConfig(session.tsDoc, ReferenceGraph.analyzeGraph(graph));
+    }
+
+    /**
+     * Returns all the errors of the given session: its unresolved and unused
+     * references and the errors of all its attached scripts.
+     * @param {!TypeScriptSession} session
+     * @param {number=} maxCount Maximum number of errors of the attached scripts,
+     *      MAX_ERRORS by default
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getAllErrors(session, maxCount) {
+        return getReferenceErrors(session)
+            .concat(getUnusedReferenceErrors(session))
+            .concat(getSessionErrors(session, maxCount));
+    }
+
+    /**
+     * Returns the summary of the given errors, for example "2 errors, 1 warning".
+     * @param {!Array.<{severity: string}>} errors
+     * @returns {string}
+     */
+    function getSummary(errors) {
+        var warningCount = errors.filter(function (error) {
+                return error.severity === DiagnosticsConfig.Severity.WARNING;
+            }).length,
+            errorCount = errors.length - warningCount;
+
+        return errorCount + (errorCount === 1 ? " error, " : " errors, ") +
+            warningCount + (warningCount === 1 ? " warning" : " warnings");
+    }
+
+    // Define public API
+    exports.MAX_ERRORS               = MAX_ERRORS;
+    exports.isLineSuppressed         = isLineSuppressed;
+    exports.getScriptErrors          = getScriptErrors;
+    exports.getDocumentErrors        = getDocumentErrors;
+    exports.getSessionErrors         = getSessionErrors;
+    exports.getReferenceErrors       = getReferenceErrors;
+    exports.getUnusedReferenceErrors = getUnusedReferenceErrors;
+    exports.applyFix                 = applyFix;
+    exports.getReferenceGraphErrors  = getReferenceGraphErrors;
+    exports.getAllErrors             = getAllErrors;
+    exports.getSummary               = getSummary;
+});
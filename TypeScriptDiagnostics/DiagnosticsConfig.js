@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var DocumentManager  = brackets.getModule("document/DocumentManager"),
+        ProjectManager   = brackets.getModule("project/ProjectManager"),
+        FileUtils        = brackets.getModule("file/FileUtils"),
+        NativeFileSystem = brackets.getModule("file/NativeFileSystem").NativeFileSystem;
+
+    /*
+     * Per-project configuration of the diagnostics, read from the CONFIG_FILE_NAME
+     * file at the project root. For example:
+     *
+     * {
+     *     "severity": {
+     *         "syntax": "error",
+     *         "semantic": "warning",
+     *         "style": "ignore",
+     *         "reference": "error"
+     *     }
+     * }
+     *
+     * The error categories are:
+     * syntax          -- parse errors
+     * semantic        -- type check errors
+     * style           -- style warnings reported by the compiler
+     * reference       -- broken ///<reference path> directives
+     * referenceGraph  -- reference cycles and classes used before the file declaring
+     *                    them in the concatenation order
+     * unusedReference -- references bringing in none of the used declarations
+     *
+     * DiagnosticsConfig dispatches this event:
+     *
+     * change -- When the configuration has been (re)loaded.
+     */
+
+    /**
+     * Name of the configuration file at the project root.
+     * @type {string}
+     */
+    var CONFIG_FILE_NAME = ".brackets-typescript.json";
+
+    /**
+     * Available severities.
+     * @enum {string}
+     */
+    var Severity = {
+        ERROR:   "error",
+        WARNING: "warning",
+        IGNORE:  "ignore"
+    };
+
+    /**
+     * Severity of each error category when the project doesn't configure it.
+     * @type {Object.<string, string>}
+     */
+    var DEFAULT_SEVERITIES = {
+        syntax:          Severity.ERROR,
+        semantic:        Severity.ERROR,
+        style:           Severity.WARNING,
+        reference:       Severity.ERROR,
+        referenceGraph:  Severity.WARNING,
+        unusedReference: Severity.WARNING
+    };
+
+    /**
+     * Current severity of each error category.
+     * @type {Object.<string, string>}
+     * @private
+     */
+    var _severities = $.extend({}, DEFAULT_SEVERITIES);
+
+    /**
+     * Get a typescript-diagnostics-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-diagnostics";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Returns the severity of the given error category.
+     * @param {!string} category
+     * @returns {string} One of the Severity values
+     */
+    function getSeverity(category) {
+        return _severities[category] || Severity.ERROR;
+    }
+
+    /**
+     * Replaces the configured severities. The categories not configured get their
+     * default severity and the invalid severities are ignored.
+     * @param {Object.<string, string>} severities Maps error category -> severity
+     */
+    function setSeverities(severities) {
+        var validSeverities = [Severity.ERROR, Severity.WARNING, Severity.IGNORE];
+
+        _severities = $.extend({}, DEFAULT_SEVERITIES);
+        $.each(severities || {}, function (category, severity) {
+            if (validSeverities.indexOf(severity) !== -1) {
+                _severities[category] = severity;
+            } else {
+                console.error("Invalid typescript diagnostics severity: ", category, severity);
+            }
+        });
+        $(exports).triggerHandler("change");
+    }
+
+    /**
+     * Returns the full path of the configuration file of the current project.
+     * @returns {string}
+     */
+    function getConfigPath() {
+        return ProjectManager.getProjectRoot().fullPath + CONFIG_FILE_NAME;
+    }
+
+    /**
+     * Loads the configuration file of the current project. When there is no valid
+     * configuration file, the default configuration is used.
+     * @returns {$.Promise} A promise object that will be resolved when the
+     *      configuration is loaded
+     */
+    function load() {
+        var result = new $.Deferred(),
+            fileEntry = new NativeFileSystem.FileEntry(getConfigPath());
+
+        FileUtils.readAsText(fileEntry)
+            .done(function (text) {
+                var config = null;
+                try {
+                    config = JSON.parse(text);
+                } catch (error) {
+                    console.error("Invalid typescript configuration file: ", fileEntry.fullPath, error);
+                }
+                setSeverities(config && config.severity);
+                result.resolve();
+            })
+            .fail(function () {
+                // No configuration file
+                setSeverities(null);
+                result.resolve();
+            });
+        return result.promise();
+    }
+
+    /**
+     * Reloads the configuration when the configuration file is saved.
+     * @param event
+     * @param {!Document} doc
+     * @private
+     */
+    function _handleDocumentSaved(event, doc) {
+        if (doc.file.fullPath === getConfigPath()) {
+            load();
+        }
+    }
+
+    // Reload the configuration when a project is opened or its file saved
+    $(ProjectManager).on(eventName("projectOpen"), load);
+    $(DocumentManager).on(eventName("documentSaved"), _handleDocumentSaved);
+
+    // Define public API
+    exports.CONFIG_FILE_NAME   = CONFIG_FILE_NAME;
+    exports.Severity           = Severity;
+    exports.DEFAULT_SEVERITIES = DEFAULT_SEVERITIES;
+    exports.getSeverity        = getSeverity;
+    exports.setSeverities      = setSeverities;
+    exports.getConfigPath      = getConfigPath;
+    exports.load               = load;
+});
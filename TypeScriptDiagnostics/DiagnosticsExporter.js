@@ -0,0 +1,326 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Async                = brackets.getModule("utils/Async"),
+        FileIndexManager     = brackets.getModule("project/FileIndexManager"),
+        FileUtils            = brackets.getModule("file/FileUtils"),
+        ProjectManager       = brackets.getModule("project/ProjectManager"),
+        NativeFileSystem     = brackets.getModule("file/NativeFileSystem").NativeFileSystem,
+        TypeScriptService    = require("TypeScript/main").TypeScriptService,
+        TypeScriptFileGroups = require("TypeScript/main").TypeScriptFileGroups,
+        Diagnostics          = require("TypeScriptDiagnostics/Diagnostics");
+
+    /**
+     * Escapes the given text to be used in a XML attribute or text node.
+     * @param {!string} text
+     * @returns {string}
+     * @private
+     */
+    function _escapeXML(text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
+    }
+
+    /**
+     * Returns the severity of the given error. Errors without configured severity
+     * are reported as errors.
+     * @param {!{severity: string}} error
+     * @returns {string}
+     * @private
+     */
+    function _getSeverity(error) {
+        return error.severity || "error";
+    }
+
+    /**
+     * Formats the given files as JSON.
+     * Note: lines and columns are 1-based.
+     * @param {!Array.<{fullPath: string, errors: Array}>} files
+     * @returns {string}
+     */
+    function formatJSON(files) {
+        var result = {
+            files: files.map(function (file) {
+                return {
+                    file: file.fullPath,
+                    errors: file.errors.map(function (error) {
+                        return {
+                            line: error.range.start.line + 1,
+                            column: error.range.start.ch + 1,
+                            endLine: error.range.end.line + 1,
+                            endColumn: error.range.end.ch + 1,
+                            severity: _getSeverity(error),
+                            message: error.message
+                        };
+                    })
+                };
+            })
+        };
+        return JSON.stringify(result, null, 4);
+    }
+
+    /**
+     * Formats the given files as JUnit XML. Each file is a test case that fails with
+     * its first error and reports all its diagnostics in its failure content. A file
+     * with only warnings passes and reports them in its standard output.
+     * @param {!Array.<{fullPath: string, errors: Array}>} files
+     * @returns {string}
+     */
+    function formatJUnit(files) {
+        var failures = 0,
+            testCases = files.map(function (file) {
+                var xml = "    <testcase classname=\"typescript\" name=\"" + _escapeXML(file.fullPath) + "\"";
+                if (file.errors.length === 0) {
+                    return xml + "/>";
+                }
+                var lines = file.errors.map(function (error) {
+                    return _escapeXML(file.fullPath + "(" + (error.range.start.line + 1) + "," +
+                                      (error.range.start.ch + 1) + "): " + _getSeverity(error) + ": " +
+                                      error.message);
+                }).join("\n");
+                var firstError = file.errors.filter(function (error) {
+                    return _getSeverity(error) === "error";
+                })[0];
+
+                if (!firstError) {
+                    return xml + ">\n" +
+                        "        <system-out>" + lines + "</system-out>\n" +
+                        "    </testcase>";
+                }
+                failures++;
+                return xml + ">\n" +
+                    "        <failure type=\"error\" message=\"" + _escapeXML(firstError.message) + "\">" +
+                    lines + "</failure>\n" +
+                    "    </testcase>";
+            });
+
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+            "<testsuite name=\"TypeScript\" tests=\"" + files.length + "\" failures=\"" + failures + "\" errors=\"0\">\n" +
+            testCases.join("\n") + (testCases.length ? "\n" : "") +
+            "</testsuite>\n";
+    }
+
+    /**
+     * Formats the given files as checkstyle XML.
+     * @param {!Array.<{fullPath: string, errors: Array}>} files
+     * @returns {string}
+     */
+    function formatCheckstyle(files) {
+        var xmlFiles = files.map(function (file) {
+            var xmlErrors = file.errors.map(function (error) {
+                return "        <error line=\"" + (error.range.start.line + 1) +
+                    "\" column=\"" + (error.range.start.ch + 1) +
+                    "\" severity=\"" + _getSeverity(error) + "\" message=\"" + _escapeXML(error.message) +
+                    "\" source=\"typescript\"/>\n";
+            });
+            return "    <file name=\"" + _escapeXML(file.fullPath) + "\">\n" +
+                xmlErrors.join("") +
+                "    </file>\n";
+        });
+
+        return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+            "<checkstyle version=\"4.3\">\n" +
+            xmlFiles.join("") +
+            "</checkstyle>\n";
+    }
+
+    /**
+     * Supported export formats. Maps format name -> formatter and default file name.
+     * @type {Object.<string, {format: function(Array):string, fileName: string}>}
+     */
+    var FORMATS = {
+        json:       { format: formatJSON,       fileName: "typescript-errors.json" },
+        junit:      { format: formatJUnit,      fileName: "typescript-errors-junit.xml" },
+        checkstyle: { format: formatCheckstyle, fileName: "typescript-errors-checkstyle.xml" }
+    };
+
+    /**
+     * Returns the formatter of the given format name.
+     * @param {!string} format
+     * @returns {function(Array):string}
+     * @private
+     */
+    function _getFormatter(format) {
+        if (!FORMATS[format]) {
+            throw new Error("Unknown diagnostics export format: " + format);
+        }
+        return FORMATS[format].format;
+    }
+
+    /**
+     * Returns a promise object rejected because of the given unknown format name.
+     * @param {!string} format
+     * @returns {$.Promise}
+     * @private
+     */
+    function _rejectUnknownFormat(format) {
+        return new $.Deferred().reject(new Error("Unknown diagnostics export format: " + format)).promise();
+    }
+
+    /**
+     * Exports all the errors of all the scripts attached to the given session.
+     * @param {!TypeScriptSession} session
+     * @param {!string} format One of the FORMATS names
+     * @returns {string}
+     */
+    function exportSession(session, format) {
+        var formatter = _getFormatter(format),
+            errors = Diagnostics.getAllErrors(session, Infinity),
+            files = TypeScriptFileGroups.groupByFile(errors, "errors", null, session.getAttachedPaths());
+        return formatter(files);
+    }
+
+    /**
+     * Exports all the errors of all the typescript files of the current project.
+     * The files attached to a session report the errors of their session. The
+     * others are checked each in its own session, so that each one only sees the
+     * declarations of the files it references.
+     * @param {!string} format One of the FORMATS names
+     * @returns {$.Promise} A promise object that will be resolved with the exported text
+     */
+    function exportProject(format) {
+        if (!FORMATS[format]) {
+            return _rejectUnknownFormat(format);
+        }
+
+        var formatter = FORMATS[format].format,
+            result = new $.Deferred();
+
+        FileIndexManager.getFileInfoList("all").done(function (fileInfos) {
+            var sessions = TypeScriptService.getSessions(),
+                fullPaths = [],
+                unattachedPaths = [],
+                errorsObj = {};
+
+            function addErrors(errors) {
+                // A script attached to several sessions reports the same errors
+                errors.forEach(function (error) {
+                    var key = error.scriptName + ":" + error.range.start.line + ":" +
+                        error.range.start.ch + ":" + error.message;
+                    errorsObj[key] = error;
+                });
+            }
+
+            fileInfos.forEach(function (fileInfo) {
+                var fullPath = fileInfo.fullPath;
+                if (!(/\.ts$/i).test(fullPath)) {
+                    return;
+                }
+                fullPaths.push(fullPath);
+                var isAttached = sessions.some(function (session) {
+                    return session.isAttached(fullPath);
+                });
+                if (!isAttached) {
+                    unattachedPaths.push(fullPath);
+                }
+            });
+
+            sessions.forEach(function (session) {
+                addErrors(Diagnostics.getAllErrors(session, Infinity));
+            });
+
+            Async.doSequentially(unattachedPaths, function (fullPath) {
+                return TypeScriptService.getSessionFromPath(fullPath).done(function (session) {
+                    // The referenced scripts report their errors from their own session
+                    addErrors(Diagnostics.getAllErrors(session, Infinity).filter(function (error) {
+                        return error.scriptName === fullPath;
+                    }));
+                });
+            }, true).done(function () {
+                var errors = Object.keys(errorsObj).map(function (key) {
+                    return errorsObj[key];
+                });
+                result.resolve(formatter(TypeScriptFileGroups.groupByFile(errors, "errors", null, fullPaths)));
+            }).fail(function (error) {
+                result.reject(error);
+            });
+        }).fail(function (error) {
+            result.reject(error);
+        });
+        return result.promise();
+    }
+
+    /**
+     * Writes the given exported text in the file at the given full path.
+     * @param {!string} fullPath
+     * @param {!string} text
+     * @returns {$.Promise} A promise object that will be resolved when the file is written
+     */
+    function writeExport(fullPath, text) {
+        var fileEntry = new NativeFileSystem.FileEntry(fullPath);
+        return FileUtils.writeText(fileEntry, text);
+    }
+
+    /**
+     * Exports the errors of all the typescript files of the current project in the
+     * default file of the given format, at the project root.
+     * @param {!string} format One of the FORMATS names
+     * @returns {$.Promise} A promise object that will be resolved with the full path
+     *      of the written file
+     */
+    function exportProjectToFile(format) {
+        if (!FORMATS[format]) {
+            return _rejectUnknownFormat(format);
+        }
+
+        var fullPath = ProjectManager.getProjectRoot().fullPath + FORMATS[format].fileName,
+            result = new $.Deferred();
+
+        exportProject(format)
+            .done(function (text) {
+                writeExport(fullPath, text)
+                    .done(function () {
+                        result.resolve(fullPath);
+                    })
+                    .fail(function (error) {
+                        result.reject(error);
+                    });
+            })
+            .fail(function (error) {
+                result.reject(error);
+            });
+        return result.promise();
+    }
+
+    // Define public API
+    exports.FORMATS             = FORMATS;
+    exports.formatJSON          = formatJSON;
+    exports.formatJUnit         = formatJUnit;
+    exports.formatCheckstyle    = formatCheckstyle;
+    exports.exportSession       = exportSession;
+    exports.exportProject       = exportProject;
+    exports.writeExport         = writeExport;
+    exports.exportProjectToFile = exportProjectToFile;
+});
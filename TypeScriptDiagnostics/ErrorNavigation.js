@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var TypeScriptFileGroups = require("TypeScript/main").TypeScriptFileGroups;
+
+    /**
+     * Compares two locations in navigation order: the locations in the given main
+     * script name come first, then the locations in the others scripts sorted by
+     * name. The locations in a same script are sorted by position.
+     * @param {!string} mainScriptName
+     * @param {!{scriptName: string, pos: {line:number, ch:number}}} a
+     * @param {!{scriptName: string, pos: {line:number, ch:number}}} b
+     * @returns {number} Negative if a is before b, positive if a is after b, 0 otherwise
+     * @private
+     */
+    function _compareLocations(mainScriptName, a, b) {
+        if (a.scriptName !== b.scriptName) {
+            return TypeScriptFileGroups.compareScriptNames(mainScriptName, a.scriptName, b.scriptName);
+        }
+        return TypeScriptFileGroups.comparePositions(a.pos, b.pos);
+    }
+
+    /**
+     * Returns the location of the given error.
+     * @param {!{range: {start: {line: number, ch: number}}, scriptName: string}} error
+     * @returns {{scriptName: string, pos: {line:number, ch:number}}}
+     * @private
+     */
+    function _getErrorLocation(error) {
+        return {
+            scriptName: error.scriptName,
+            pos: error.range.start
+        };
+    }
+
+    /**
+     * Sorts the given errors in navigation order: the errors of the given main script
+     * name come first, then the errors of the others scripts sorted by name. The errors
+     * of a same script are sorted by position.
+     * @param {!string} mainScriptName
+     * @param {!Array.<{message: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} errors
+     * @returns {Array.<{message: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function sortErrors(mainScriptName, errors) {
+        return errors.slice().sort(function (a, b) {
+            return _compareLocations(mainScriptName, _getErrorLocation(a), _getErrorLocation(b));
+        });
+    }
+
+    /**
+     * Returns the first error after the given location. When there is no error after
+     * it, wraps around to the first error.
+     * @param {!Array} sortedErrors Errors sorted with sortErrors
+     * @param {!string} mainScriptName Main script name given to sortErrors
+     * @param {!string} scriptName Script name of the current location
+     * @param {!{line:number, ch:number}} pos Position of the current location
+     * @returns {?{message: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}}
+     */
+    function findNextError(sortedErrors, mainScriptName, scriptName, pos) {
+        var location = {scriptName: scriptName, pos: pos},
+            i;
+        for (i = 0; i < sortedErrors.length; i++) {
+            if (_compareLocations(mainScriptName, _getErrorLocation(sortedErrors[i]), location) > 0) {
+                return sortedErrors[i];
+            }
+        }
+        return sortedErrors[0] || null;
+    }
+
+    /**
+     * Returns the last error before the given location. When there is no error before
+     * it, wraps around to the last error.
+     * @param {!Array} sortedErrors Errors sorted with sortErrors
+     * @param {!string} mainScriptName Main script name given to sortErrors
+     * @param {!string} scriptName Script name of the current location
+     * @param {!{line:number, ch:number}} pos Position of the current location
+     * @returns {?{message: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}}
+     */
+    function findPreviousError(sortedErrors, mainScriptName, scriptName, pos) {
+        var location = {scriptName: scriptName, pos: pos},
+            i;
+        for (i = sortedErrors.length - 1; i >= 0; i--) {
+            if (_compareLocations(mainScriptName, _getErrorLocation(sortedErrors[i]), location) < 0) {
+                return sortedErrors[i];
+            }
+        }
+        return sortedErrors[sortedErrors.length - 1] || null;
+    }
+
+    // Define public API
+    exports.sortErrors        = sortErrors;
+    exports.findNextError     = findNextError;
+    exports.findPreviousError = findPreviousError;
+});
@@ -0,0 +1,185 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var PanelManager         = brackets.getModule("view/PanelManager"),
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        TypeScriptFileGroups = require("TypeScript/main").TypeScriptFileGroups,
+        Diagnostics          = require("TypeScriptDiagnostics/Diagnostics"),
+        PanelTemplate        = require("text!TypeScriptDiagnostics/htmlContent/problems-panel.html"),
+        TableTemplate        = require("text!TypeScriptDiagnostics/htmlContent/problems-table.html");
+
+    /*
+     * ProblemsPanel dispatches this event:
+     *
+     * visibilityChange -- When the panel is shown or hidden. The visibility is
+     *                     passed as parameter.
+     */
+
+    /**
+     * Bottom panel listing the errors.
+     * @type {Panel}
+     * @private
+     */
+    var _panel = null;
+
+    /**
+     * Errors currently listed, grouped by file.
+     * @type {Array.<{fullPath: string, errors: Array}>}
+     * @private
+     */
+    var _files = [];
+
+    /**
+     * Converts the given error to its view in the errors table.
+     * @param {!{message: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, fix: ?Object}} error
+     * @returns {{severity: string, line: number, message: string, fix: ?Object}}
+     * @private
+     */
+    function _convertError(error) {
+        return {
+            severity: error.severity,
+            line: error.range.start.line + 1,
+            message: error.message,
+            fix: error.fix
+        };
+    }
+
+    /**
+     * Renders the current errors in the panel.
+     * @private
+     */
+    function _render() {
+        var errors = [];
+        _files.forEach(function (file) {
+            errors = errors.concat(file.errors);
+        });
+
+        _panel.$panel.find(".ts-problems-summary").text(Diagnostics.getSummary(errors));
+        TypeScriptFileGroups.renderFiles(_panel.$panel.find(".table-container"), TableTemplate,
+                                         _files, "errors", _convertError);
+    }
+
+    /**
+     * Opens the file and selects the range of the clicked error.
+     * @param event
+     * @private
+     */
+    function _handleErrorClick(event) {
+        var rowItem = TypeScriptFileGroups.getRowItem(_files, "errors", $(event.currentTarget));
+
+        if (rowItem) {
+            TypeScriptNavigation.goTo(rowItem.file.fullPath, rowItem.item.range.start, rowItem.item.range.end);
+        }
+    }
+
+    /**
+     * Applies the fix of the error whose fix link has been clicked.
+     * @param event
+     * @private
+     */
+    function _handleFixClick(event) {
+        var rowItem = TypeScriptFileGroups.getRowItem(_files, "errors",
+                                                      $(event.currentTarget).closest(".ts-problems-error"));
+
+        event.preventDefault();
+        event.stopPropagation();
+        if (rowItem && rowItem.item.fix) {
+            Diagnostics.applyFix(rowItem.item);
+        }
+    }
+
+    /**
+     * Replaces the errors listed in the panel.
+     * @param {!string} mainScriptName Script name whose errors are listed first
+     * @param {!Array.<{message: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} errors
+     */
+    function setErrors(mainScriptName, errors) {
+        _files = TypeScriptFileGroups.groupByFile(errors, "errors", mainScriptName);
+        if (_panel) {
+            _render();
+        }
+    }
+
+    /**
+     * Removes all the errors listed in the panel.
+     */
+    function clear() {
+        _files = [];
+        if (_panel) {
+            _render();
+        }
+    }
+
+    /**
+     * Returns whether the panel is visible.
+     * @returns {boolean}
+     */
+    function isVisible() {
+        return _panel !== null && _panel.isVisible();
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {!boolean} visible
+     */
+    function setVisible(visible) {
+        if (!_panel) {
+            return;
+        }
+        if (visible) {
+            _panel.show();
+        } else {
+            _panel.hide();
+        }
+        $(exports).triggerHandler("visibilityChange", [visible]);
+    }
+
+    /**
+     * Creates the bottom panel. Must be called once when the application is ready.
+     */
+    function init() {
+        _panel = PanelManager.createBottomPanel("typescript.problems", $(PanelTemplate), 100);
+        _panel.$panel
+            .on("click", ".ts-problems-fix", _handleFixClick)
+            .on("click", ".ts-problems-error", _handleErrorClick)
+            .on("click", ".close", function () {
+                setVisible(false);
+            });
+        _render();
+    }
+
+    // Define public API
+    exports.init       = init;
+    exports.setErrors  = setErrors;
+    exports.clear      = clear;
+    exports.isVisible  = isVisible;
+    exports.setVisible = setVisible;
+});
@@ -0,0 +1,364 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, TypeScript */
+
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Async              = brackets.getModule("utils/Async"),
+        DocumentManager    = brackets.getModule("document/DocumentManager"),
+        TypeScriptDocument = require("TypeScript/TypeScriptDocument"),
+        PathUtils          = require("PathUtils");
+
+    /**
+     * Returns the given path without its "." and ".." segments.
+     * @param {!string} path
+     * @returns {string}
+     * @private
+     */
+    function _normalizePath(path) {
+        var segments = [];
+        path.split("/").forEach(function (segment, i) {
+            if (segment === "..") {
+                segments.pop();
+            } else if (segment !== "." && (segment !== "" || i === 0)) {
+                segments.push(segment);
+            }
+        });
+        return segments.join("/");
+    }
+
+    /**
+     * Returns the file name of the given path.
+     * @param {!string} fullPath
+     * @returns {string}
+     * @private
+     */
+    function _getFileName(fullPath) {
+        return fullPath.substr(fullPath.lastIndexOf("/") + 1);
+    }
+
+    /**
+     * Parses the given typescript file contents and returns its AST.
+     * @param {!string} fullPath
+     * @param {!string} text
+     * @returns {*}
+     * @private
+     */
+    function _parseScript(fullPath, text) {
+        var parser = new TypeScript.Parser();
+        parser.setErrorRecovery(null);
+        parser.errorCallback = function () {};
+        return parser.parse(new TypeScript.StringSourceText(text), fullPath, 0);
+    }
+
+    /**
+     * Walks the code of the given AST evaluated as soon as the file is loaded and
+     * calls the given callback on each class declaration and each name it uses. The
+     * function bodies, the types and the instance property initializers, evaluated
+     * later or never, are left out.
+     * @param {*} ast
+     * @param {!function(*, string)} callback Called with the class declaration or
+     *      name AST, and "declaration", "extends" or "use"
+     * @private
+     */
+    function _walkLoadedCode(ast, callback) {
+        if (!ast) {
+            return;
+        }
+        TypeScript.getAstWalkerFactory().walk(ast, function (cur, parent, walker) {
+            if (!cur) {
+                return cur;
+            }
+            switch (cur.nodeType) {
+            case TypeScript.NodeType.Name:
+                callback(cur, "use");
+                break;
+            case TypeScript.NodeType.VarDecl:
+                walker.options.goChildren = false;
+                _walkLoadedCode(cur.init, callback);
+                break;
+            case TypeScript.NodeType.ModuleDeclaration:
+                walker.options.goChildren = false;
+                _walkLoadedCode(cur.members, callback);
+                break;
+            case TypeScript.NodeType.ClassDeclaration:
+                walker.options.goChildren = false;
+                callback(cur, "declaration");
+                if (cur.extendsList) {
+                    TypeScript.getAstWalkerFactory().walk(cur.extendsList, function (name) {
+                        if (name && name.nodeType === TypeScript.NodeType.Name) {
+                            callback(name, "extends");
+                        }
+                        return name;
+                    });
+                }
+                cur.members.members.forEach(function (member) {
+                    if (member.nodeType === TypeScript.NodeType.VarDecl &&
+                            TypeScript.hasFlag(member.varFlags, TypeScript.VarFlags.Static)) {
+                        _walkLoadedCode(member.init, callback);
+                    }
+                });
+                break;
+            case TypeScript.NodeType.FuncDecl:
+            case TypeScript.NodeType.InterfaceDeclaration:
+            case TypeScript.NodeType.TypeRef:
+                walker.options.goChildren = false;
+                break;
+            }
+            return cur;
+        });
+    }
+
+    /**
+     * Parses the references, the class declarations and the names used when the
+     * given typescript file is loaded: the extended classes and the names of the
+     * code outside of function bodies, like a top-level instantiation or a static
+     * property initializer. The used names which are not classes declared in the
+     * graph are ignored by analyzeGraph.
+     * @param {!string} fullPath
+     * @param {!string} text
+     * @returns {{fullPath: string, references: Array.<{relativePath: string, fullPath: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>, classes: Array.<string>, classUses: Array.<{name: string, isExtended: boolean, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}}
+     */
+    function parseFile(fullPath, text) {
+        var parentPath = PathUtils.getParentPath(fullPath),
+            file = {
+                fullPath: fullPath,
+                references: [],
+                classes: [],
+                classUses: []
+            };
+
+        file.references = TypeScriptDocument.getReferenceDirectives(text).map(function (directive) {
+            return {
+                relativePath: directive.relativePath,
+                fullPath: _normalizePath(PathUtils.convertRelativePathToFullPath(directive.relativePath, parentPath)),
+                range: directive.range
+            };
+        });
+
+        _walkLoadedCode(_parseScript(fullPath, text), function (ast, kind) {
+            if (kind === "declaration") {
+                file.classes.push(ast.name.actualText);
+                return;
+            }
+            file.classUses.push({
+                name: ast.actualText,
+                isExtended: kind === "extends",
+                range: {
+                    start: TypeScriptDocument.getPosFromTextIndex(text, ast.minChar),
+                    end: TypeScriptDocument.getPosFromTextIndex(text, ast.limChar)
+                }
+            });
+        });
+
+        return file;
+    }
+
+    /**
+     * Parses again the file at the given full path of the given graph with the given
+     * text. The graph is left unchanged if the references of the file have changed,
+     * or if the file is not part of the graph, since the graph has to be built again.
+     * @param {!{root: string, files: Object.<string, {fullPath: string, references: Array, classes: Array, classUses: Array}>}} graph
+     * @param {!string} fullPath
+     * @param {!string} text
+     * @returns {boolean} Whether the graph is up to date
+     */
+    function updateFile(graph, fullPath, text) {
+        fullPath = _normalizePath(fullPath);
+        if (!graph.files[fullPath]) {
+            return false;
+        }
+        var file = parseFile(fullPath, text);
+
+        function getReferencePaths(file) {
+            return file.references.map(function (reference) {
+                return reference.fullPath;
+            }).join("\n");
+        }
+
+        if (getReferencePaths(file) !== getReferencePaths(graph.files[fullPath])) {
+            return false;
+        }
+        graph.files[fullPath] = file;
+        return true;
+    }
+
+    /**
+     * Loads the given typescript file and, recursively, all the files it references.
+     * The referenced files that cannot be loaded are left out of the graph.
+     * @param {!string} rootPath Full path of the typescript file
+     * @returns {$.Promise} A promise object that will be resolved with the graph
+     *      {root: string, files: Object.<string, {fullPath: string, references: Array, classes: Array, classUses: Array}>},
+     *      or rejected if the given typescript file cannot be loaded
+     */
+    function buildGraph(rootPath) {
+        var result = new $.Deferred(),
+            graph = {
+                root: rootPath,
+                files: {}
+            };
+
+        function loadFile(fullPath) {
+            var loaded = new $.Deferred();
+
+            if (graph.files.hasOwnProperty(fullPath)) {
+                return loaded.resolve().promise();
+            }
+            graph.files[fullPath] = null;
+
+            DocumentManager.getDocumentForPath(fullPath)
+                .done(function (doc) {
+                    var file = parseFile(fullPath, doc.getText());
+                    graph.files[fullPath] = file;
+                    Async.doInParallel(file.references, function (reference) {
+                        return loadFile(reference.fullPath);
+                    }).always(function () {
+                        loaded.resolve();
+                    });
+                })
+                .fail(function () {
+                    delete graph.files[fullPath];
+                    loaded.resolve();
+                });
+            return loaded.promise();
+        }
+
+        loadFile(rootPath).done(function () {
+            if (graph.files[rootPath]) {
+                result.resolve(graph);
+            } else {
+                result.reject(new Error("Unable to load the root of the reference graph: " + rootPath));
+            }
+        });
+        return result.promise();
+    }
+
+    /**
+     * Analyses the given reference graph and returns a warning on each reference
+     * closing a cycle, and on each reference that makes a file extend or use when
+     * it is loaded a class declared in a file coming after it in the concatenation
+     * order. The concatenation order puts the referenced files before the
+     * referencing ones, as the typescript compiler does when it concatenates its
+     * output.
+     * @param {!{root: string, files: Object.<string, {fullPath: string, references: Array, classes: Array, classUses: Array}>}} graph
+     * @returns {Array.<{message: string, category: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function analyzeGraph(graph) {
+        var errors = [],
+            reported = {},
+            order = [],
+            visiting = {},
+            visited = {},
+            includedBy = {},
+            declarations = {};
+
+        function addError(scriptName, range, message) {
+            var key = scriptName + ":" + range.start.line + ":" + message;
+            if (!reported.hasOwnProperty(key)) {
+                reported[key] = true;
+                errors.push({
+                    message: message,
+                    category: "referenceGraph",
+                    range: range,
+                    scriptName: scriptName
+                });
+            }
+        }
+
+        function visit(fullPath, stack) {
+            visiting[fullPath] = true;
+            stack.push(fullPath);
+
+            graph.files[fullPath].references.forEach(function (reference) {
+                if (!graph.files[reference.fullPath]) {
+                    return;
+                }
+                if (visiting[reference.fullPath]) {
+                    var cycle = stack.slice(stack.indexOf(reference.fullPath)).concat(reference.fullPath);
+                    addError(fullPath, reference.range,
+                             "Reference cycle: " + cycle.map(_getFileName).join(" -> "));
+                } else if (!visited[reference.fullPath]) {
+                    includedBy[reference.fullPath] = {scriptName: fullPath, range: reference.range};
+                    visit(reference.fullPath, stack);
+                }
+            });
+
+            stack.pop();
+            delete visiting[fullPath];
+            visited[fullPath] = true;
+            order.push(fullPath);
+        }
+
+        if (!graph.files[graph.root]) {
+            return errors;
+        }
+        visit(graph.root, []);
+
+        order.forEach(function (fullPath) {
+            graph.files[fullPath].classes.forEach(function (name) {
+                if (!declarations.hasOwnProperty(name)) {
+                    declarations[name] = fullPath;
+                }
+            });
+        });
+
+        order.forEach(function (fullPath, index) {
+            var file = graph.files[fullPath];
+
+            file.classUses.forEach(function (classUse) {
+                var declaringPath = declarations[classUse.name];
+                if (!declaringPath || order.indexOf(declaringPath) <= index) {
+                    return;
+                }
+                // Blame the reference to the declaring file if there is one, it was
+                // left out because of a cycle. Otherwise blame the reference that put
+                // this file at its place in the concatenation order.
+                var reference = file.references.filter(function (reference) {
+                    return reference.fullPath === declaringPath;
+                })[0];
+                var location = reference ? {scriptName: fullPath, range: reference.range} : includedBy[fullPath];
+                if (location) {
+                    addError(location.scriptName, location.range,
+                             "'" + _getFileName(fullPath) +
+                             (classUse.isExtended ? "' extends the class '" : "' uses the class '") +
+                             classUse.name + "' before '" + _getFileName(declaringPath) +
+                             "' declares it in the concatenation order");
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    // Define public API
+    exports.parseFile    = parseFile;
+    exports.updateFile   = updateFile;
+    exports.buildGraph   = buildGraph;
+    exports.analyzeGraph = analyzeGraph;
+});
@@ -0,0 +1,116 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var StatusBar     = brackets.getModule("widgets/StatusBar"),
+        SessionState  = require("TypeScript/main").TypeScriptService.SessionState,
+        Diagnostics   = require("TypeScriptDiagnostics/Diagnostics"),
+        ProblemsPanel = require("TypeScriptDiagnostics/ProblemsPanel");
+
+    var INDICATOR_ID = "typescript-status";
+
+    /**
+     * Status bar item displaying the state of the current session.
+     * @type {jQueryObject}
+     * @private
+     */
+    var _$indicator = null;
+
+    /**
+     * Returns the tooltip of the indicator for the given session.
+     * @param {!TypeScriptSession} session
+     * @returns {string}
+     * @private
+     */
+    function _getTooltip(session) {
+        if (session.state === SessionState.LOADING) {
+            return "Loading the referenced files";
+        }
+        var tooltip = "Show the TypeScript problems";
+        if (session.state === SessionState.FAILED) {
+            tooltip = "Unable to load " + session.getUnresolvedReferences().map(function (reference) {
+                return reference.relativePath;
+            }).join(", ") + ". " + tooltip;
+        }
+        return tooltip;
+    }
+
+    /**
+     * Returns the text of the indicator for the given session and errors.
+     * @param {!TypeScriptSession} session
+     * @param {!Array.<{severity: string}>} errors
+     * @returns {string}
+     * @private
+     */
+    function _getText(session, errors) {
+        if (session.state === SessionState.LOADING) {
+            return "TypeScript: loading references...";
+        }
+        if (session.state === SessionState.FAILED) {
+            return "TypeScript (failed): " + Diagnostics.getSummary(errors);
+        }
+        return "TypeScript: " + Diagnostics.getSummary(errors);
+    }
+
+    /**
+     * Displays the state of the given session and the count of the given errors, or
+     * hides the indicator if there is no session.
+     * @param {?TypeScriptSession} session
+     * @param {!Array.<{severity: string}>} errors Errors of the session, not used while
+     *      the session is loading
+     */
+    function update(session, errors) {
+        if (!_$indicator) {
+            return;
+        }
+        if (!session) {
+            StatusBar.updateIndicator(INDICATOR_ID, false);
+            return;
+        }
+        _$indicator.text(_getText(session, errors));
+        StatusBar.updateIndicator(INDICATOR_ID, true, "ts-status-" + session.state, _getTooltip(session));
+    }
+
+    /**
+     * Creates the status bar indicator. Must be called once when the application is ready.
+     */
+    function init() {
+        _$indicator = $("<div>");
+        _$indicator.on("click", function () {
+            ProblemsPanel.setVisible(true);
+        });
+        StatusBar.addIndicator(INDICATOR_ID, _$indicator, false);
+    }
+
+    // Define public API
+    exports.init   = init;
+    exports.update = update;
+});
@@ -0,0 +1,445 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit              = brackets.getModule("utils/AppInit"),
+        CommandManager       = brackets.getModule("command/CommandManager"),
+        Menus                = brackets.getModule("command/Menus"),
+        DocumentManager      = brackets.getModule("document/DocumentManager"),
+        EditorManager        = brackets.getModule("editor/EditorManager"),
+        ExtensionUtils       = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptService    = require("TypeScript/main").TypeScriptService,
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        TypeScriptScheduler  = require("TypeScript/main").TypeScriptScheduler,
+        Diagnostics          = require("TypeScriptDiagnostics/Diagnostics"),
+        DiagnosticsConfig    = require("TypeScriptDiagnostics/DiagnosticsConfig"),
+        DiagnosticsExporter  = require("TypeScriptDiagnostics/DiagnosticsExporter"),
+        ReferenceGraph       = require("TypeScriptDiagnostics/ReferenceGraph"),
+        ErrorNavigation      = require("TypeScriptDiagnostics/ErrorNavigation"),
+        ProblemsPanel        = require("TypeScriptDiagnostics/ProblemsPanel"),
+        StatusIndicator      = require("TypeScriptDiagnostics/StatusIndicator");
+
+    var TOGGLE_PROBLEMS_COMMAND_ID = "typescript.toggleProblems",
+        NEXT_ERROR_COMMAND_ID      = "typescript.nextError",
+        PREVIOUS_ERROR_COMMAND_ID  = "typescript.previousError",
+        EXPORT_COMMAND_ID_PREFIX   = "typescript.exportErrors.";
+
+    /**
+     * Current session.
+     * @type {TypeScriptSession}
+     * @private
+     */
+    var _currentSession = null;
+
+    /**
+     * TypeScriptDocument of the current session.
+     * @type {TypeScriptDocument}
+     * @private
+     */
+    var _currentTsDoc = null;
+
+    /**
+     * Session whose errors are walked through by the next/previous error commands.
+     * It is kept while the walk goes through its attached documents.
+     * @type {TypeScriptSession}
+     * @private
+     */
+    var _errorNavigationSession = null;
+
+    /**
+     * Errors found in the reference graph of the current session. They are computed
+     * asynchronously since the referenced files may have to be loaded.
+     * @type {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     * @private
+     */
+    var _referenceGraphErrors = [];
+
+    /**
+     * Unused references of the current session. Looking for them walks the AST of
+     * the main script, so it is done only once its edits have settled.
+     * @type {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     * @private
+     */
+    var _unusedReferenceErrors = [];
+
+    /**
+     * Reference graph of the current session. It is built again only when the
+     * references of its files change.
+     * @type {{root: string, files: Object}}
+     * @private
+     */
+    var _referenceGraph = null;
+
+    /**
+     * Text markers currently displayed in the editor.
+     * @type {Array.<TextMarker>}
+     * @private
+     */
+    var _markers = [];
+
+    /**
+     * Get a typescript-diagnostics-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-diagnostics";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Removes all the error markers from the editor.
+     * @private
+     */
+    function _clearMarkers() {
+        _markers.forEach(function (marker) {
+            marker.clear();
+        });
+        _markers = [];
+    }
+
+    /**
+     * Marks the given error range in the given editor.
+     * @param {!Editor} editor
+     * @param {!{message: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}} error
+     * @private
+     */
+    function _markError(editor, error) {
+        var start = error.range.start,
+            end = error.range.end;
+        // An empty range would not be visible, so mark at least one character
+        if (start.line === end.line && start.ch === end.ch) {
+            end = {line: end.line, ch: end.ch + 1};
+        }
+        _markers.push(editor._codeMirror.markText(start, end, {
+            className: "ts-" + error.severity,
+            title: error.message
+        }));
+        // Dim the whole line of an unused reference
+        if (error.category === "unusedReference") {
+            _markers.push(editor._codeMirror.markText({line: start.line, ch: 0}, {line: start.line + 1, ch: 0}, {
+                className: "ts-unused"
+            }));
+        }
+    }
+
+    /**
+     * Returns all the errors of the given session. The current session reports the
+     * errors of its reference graph too, and its last found unused references.
+     * @param {!TypeScriptSession} session
+     * @returns {Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     * @private
+     */
+    function _getAllErrors(session) {
+        if (session !== _currentSession) {
+            return Diagnostics.getAllErrors(session);
+        }
+        return _referenceGraphErrors
+            .concat(Diagnostics.getReferenceErrors(session))
+            .concat(_unusedReferenceErrors)
+            .concat(Diagnostics.getSessionErrors(session));
+    }
+
+    /**
+     * Updates the error markers of the current editor with the errors of the
+     * current TypeScriptDocument script among the given errors of the current session.
+     * @param {!Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} errors
+     * @private
+     */
+    function _updateMarkers(errors) {
+        var editor = EditorManager.getCurrentFullEditor();
+
+        _clearMarkers();
+        if (!_currentTsDoc || !editor || editor.document !== _currentTsDoc.doc) {
+            return;
+        }
+        errors.forEach(function (error) {
+            if (error.scriptName === _currentTsDoc.scriptName) {
+                _markError(editor, error);
+            }
+        });
+    }
+
+    /**
+     * Updates the problems panel with the given errors of all the scripts of the
+     * current session.
+     * @param {!Array.<{message: string, category: string, severity: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} errors
+     * @private
+     */
+    function _updateProblems(errors) {
+        if (!_currentSession) {
+            ProblemsPanel.clear();
+            return;
+        }
+        ProblemsPanel.setErrors(_currentTsDoc.scriptName, errors);
+    }
+
+    /**
+     * Updates all the views displaying the errors of the current session.
+     * @private
+     */
+    function _update() {
+        var errors = _currentSession ? _getAllErrors(_currentSession) : [];
+        _updateMarkers(errors);
+        _updateProblems(errors);
+        StatusIndicator.update(_currentSession, errors);
+    }
+
+    /**
+     * Analyses the reference graph of the current session. The graph is updated with
+     * the current contents of the attached scripts, and built again only if their
+     * references have changed: the views are then updated once it is built.
+     * @private
+     */
+    function _updateReferenceGraph() {
+        var session = _currentSession;
+        if (!session) {
+            return;
+        }
+
+        var isUpToDate = _referenceGraph && session.getAttachedPaths().every(function (fullPath) {
+            return ReferenceGraph.updateFile(_referenceGraph, fullPath, session.tsDoc.getScriptText(fullPath));
+        });
+        if (isUpToDate) {
+            _referenceGraphErrors = Diagnostics.getReferenceGraphErrors(session, _referenceGraph);
+            return;
+        }
+
+        _referenceGraph = null;
+        ReferenceGraph.buildGraph(session.tsDoc.scriptName)
+            .done(function (graph) {
+                // Ignore the result if the current session has changed meanwhile
+                if (session === _currentSession) {
+                    _referenceGraph = graph;
+                    _referenceGraphErrors = Diagnostics.getReferenceGraphErrors(session, graph);
+                    _update();
+                }
+            })
+            .fail(function (error) {
+                console.error("Unable to analyse the reference graph: ", session.tsDoc.scriptName, error);
+            });
+    }
+
+    /**
+     * Looks for the unused references of the current session once its edits have
+     * settled, then updates the views.
+     * @private
+     */
+    function _updateUnusedReferences() {
+        var session = _currentSession;
+        if (!session) {
+            return;
+        }
+
+        // A stale request is looked for again on the next analysisReady event
+        TypeScriptScheduler.request(session.tsDoc, function () {
+            return Diagnostics.getUnusedReferenceErrors(session);
+        }).done(function (errors) {
+            if (session === _currentSession) {
+                _unusedReferenceErrors = errors;
+                _update();
+            }
+        });
+    }
+
+    /**
+     * Updates the errors of the current session and analyses again its reference graph.
+     * @private
+     */
+    function _refresh() {
+        _updateReferenceGraph();
+        _update();
+    }
+
+    /**
+     * When the current session is changed, update the errors with the new one.
+     * @param event
+     * @param {?TypeScriptSession} session
+     * @private
+     */
+    function _handleCurrentSessionChange(event, session) {
+        _currentSession = session;
+        _currentTsDoc = session ? session.tsDoc : null;
+        _referenceGraphErrors = [];
+        _unusedReferenceErrors = [];
+        _referenceGraph = null;
+        _refresh();
+        _updateUnusedReferences();
+    }
+
+    /**
+     * When the edits of the current TypeScriptDocument have settled, update the errors.
+     * @param event
+     * @param {!TypeScriptDocument} tsDoc
+     * @private
+     */
+    function _handleAnalysisReady(event, tsDoc) {
+        if (tsDoc === _currentTsDoc) {
+            _unusedReferenceErrors = Diagnostics.getUnusedReferenceErrors(_currentSession);
+            _refresh();
+        }
+    }
+
+    /**
+     * When the configuration has changed, update the errors with their new severities.
+     * @private
+     */
+    function _handleConfigChange() {
+        _refresh();
+        _updateUnusedReferences();
+    }
+
+    /**
+     * When the state of the session of the current document has changed, update
+     * the status indicator.
+     * @param event
+     * @param {!TypeScriptSession} session
+     * @private
+     */
+    function _handleSessionStateChange(event, session) {
+        if (session === _currentSession) {
+            _update();
+        } else if (session.tsDoc.doc === DocumentManager.getCurrentDocument()) {
+            // The session is being loaded and is not the current one yet
+            StatusIndicator.update(session, []);
+        }
+    }
+
+    /**
+     * Shows or hides the problems panel.
+     * @private
+     */
+    function _handleToggleProblems() {
+        ProblemsPanel.setVisible(!ProblemsPanel.isVisible());
+    }
+
+    /**
+     * Returns the session whose errors should be walked through. The previous one is
+     * kept if the current document is one of its attached documents, otherwise the
+     * current session is used.
+     * @returns {?TypeScriptSession}
+     * @private
+     */
+    function _getErrorNavigationSession() {
+        var doc = DocumentManager.getCurrentDocument();
+        if (!_errorNavigationSession || !doc ||
+                !_errorNavigationSession.isAttached(doc.file.fullPath)) {
+            _errorNavigationSession = _currentSession;
+        }
+        return _errorNavigationSession;
+    }
+
+    /**
+     * Moves the cursor to the next or previous error, opening its document if needed.
+     * @param {!boolean} forward
+     * @private
+     */
+    function _goToError(forward) {
+        var editor = EditorManager.getCurrentFullEditor(),
+            session = _getErrorNavigationSession();
+        if (!editor || !session) {
+            return;
+        }
+
+        var mainScriptName = session.tsDoc.scriptName,
+            errors = ErrorNavigation.sortErrors(mainScriptName, _getAllErrors(session)),
+            find = forward ? ErrorNavigation.findNextError : ErrorNavigation.findPreviousError,
+            // The range of the current error is selected: search from its start
+            error = find(errors, mainScriptName, editor.document.file.fullPath, editor.getSelection().start);
+
+        if (error) {
+            TypeScriptNavigation.goTo(error.scriptName, error.range.start, error.range.end);
+        }
+    }
+
+    /**
+     * Exports the errors of the project in the given format and opens the written file.
+     * @param {!string} format One of the DiagnosticsExporter.FORMATS names
+     * @private
+     */
+    function _exportErrors(format) {
+        DiagnosticsExporter.exportProjectToFile(format)
+            .done(function (fullPath) {
+                TypeScriptNavigation.goTo(fullPath, {line: 0, ch: 0});
+            })
+            .fail(function (error) {
+                console.error("Unable to export the typescript errors: ", error);
+            });
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    // Listen for currentSessionChange event
+    $(TypeScriptService).on(eventName("currentSessionChange"), _handleCurrentSessionChange);
+
+    // Listen for sessionStateChange event
+    $(TypeScriptService).on(eventName("sessionStateChange"), _handleSessionStateChange);
+
+    // Listen for analysisReady event
+    $(TypeScriptScheduler).on(eventName("analysisReady"), _handleAnalysisReady);
+
+    // Listen for configuration change event
+    $(DiagnosticsConfig).on(eventName("change"), _handleConfigChange);
+
+    AppInit.appReady(function () {
+        var command = CommandManager.register("TypeScript Problems", TOGGLE_PROBLEMS_COMMAND_ID,
+                                              _handleToggleProblems);
+        Menus.getMenu(Menus.AppMenuBar.VIEW_MENU).addMenuItem(TOGGLE_PROBLEMS_COMMAND_ID);
+
+        CommandManager.register("Next TypeScript Error", NEXT_ERROR_COMMAND_ID, function () {
+            _goToError(true);
+        });
+        CommandManager.register("Previous TypeScript Error", PREVIOUS_ERROR_COMMAND_ID, function () {
+            _goToError(false);
+        });
+        var navigateMenu = Menus.getMenu(Menus.AppMenuBar.NAVIGATE_MENU);
+        navigateMenu.addMenuDivider();
+        navigateMenu.addMenuItem(NEXT_ERROR_COMMAND_ID, "F8");
+        navigateMenu.addMenuItem(PREVIOUS_ERROR_COMMAND_ID, "Shift-F8");
+
+        var fileMenu = Menus.getMenu(Menus.AppMenuBar.FILE_MENU);
+        fileMenu.addMenuDivider();
+        [
+            {format: "json", name: "Export TypeScript Errors as JSON"},
+            {format: "junit", name: "Export TypeScript Errors as JUnit XML"},
+            {format: "checkstyle", name: "Export TypeScript Errors as Checkstyle XML"}
+        ].forEach(function (item) {
+            CommandManager.register(item.name, EXPORT_COMMAND_ID_PREFIX + item.format, function () {
+                _exportErrors(item.format);
+            });
+            fileMenu.addMenuItem(EXPORT_COMMAND_ID_PREFIX + item.format);
+        });
+
+        ProblemsPanel.init();
+        StatusIndicator.init();
+        $(ProblemsPanel).on(eventName("visibilityChange"), function (event, visible) {
+            command.setChecked(visible);
+        });
+        DiagnosticsConfig.load();
+    });
+});
@@ -0,0 +1,7 @@
+///<reference path='valid.ts'/>
+
+var a: number = validFunction();
+
+var b: string = 1;
+
+unknownFunction();
@@ -0,0 +1,4 @@
+class Item {
+}
+
+var count: number = total;
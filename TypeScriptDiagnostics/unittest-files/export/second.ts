@@ -0,0 +1,4 @@
+class Item {
+}
+
+var total = 2;
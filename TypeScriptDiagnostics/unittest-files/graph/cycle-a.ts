@@ -0,0 +1,4 @@
+///<reference path='cycle-b.ts'/>
+
+class A {
+}
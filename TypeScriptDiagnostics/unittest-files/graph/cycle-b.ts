@@ -0,0 +1,4 @@
+///<reference path='cycle-a.ts'/>
+
+class B extends A {
+}
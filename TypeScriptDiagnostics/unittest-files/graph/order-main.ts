@@ -0,0 +1,4 @@
+///<reference path='derived.ts'/>
+///<reference path='base.ts'/>
+
+var derived = new Derived();
@@ -0,0 +1,2 @@
+///<reference path='base.ts'/>
+///<reference path='derived.ts'/>
@@ -0,0 +1,2 @@
+///<reference path='usage.ts'/>
+///<reference path='base.ts'/>
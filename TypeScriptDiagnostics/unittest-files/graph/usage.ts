@@ -0,0 +1,5 @@
+var base = new Base();
+
+function createBase() {
+    return new Base();
+}
@@ -0,0 +1,3 @@
+///<reference path='missing-reference.ts'/>
+
+var e: number = d;
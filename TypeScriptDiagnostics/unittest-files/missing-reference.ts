@@ -0,0 +1,4 @@
+///<reference path='valid.ts'/>
+///<reference path='missing.ts'/>
+
+var d: number = validFunction();
@@ -0,0 +1,3 @@
+///<reference path='errors.ts'/>
+
+var c: number = a;
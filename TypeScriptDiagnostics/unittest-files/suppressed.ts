@@ -0,0 +1,8 @@
+///<reference path='valid.ts'/>
+
+var a: number = validFunction();
+
+// ts-suppress
+var b: string = 1;
+
+unknownFunction();
@@ -0,0 +1,3 @@
+var total: number = 1 +;
+
+var label: string = 1;
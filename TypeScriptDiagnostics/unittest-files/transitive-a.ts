@@ -0,0 +1,3 @@
+///<reference path='transitive-b.ts'/>
+
+var transitive: Transitive = new Transitive();
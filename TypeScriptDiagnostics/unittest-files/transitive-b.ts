@@ -0,0 +1 @@
+///<reference path='transitive-c.ts'/>
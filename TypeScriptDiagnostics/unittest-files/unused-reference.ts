@@ -0,0 +1,4 @@
+///<reference path='valid.ts'/>
+///<reference path='declarations.ts'/>
+
+var declared: Declared = new Declared();
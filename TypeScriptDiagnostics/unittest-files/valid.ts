@@ -0,0 +1,3 @@
+function validFunction(): number {
+    return 1;
+}
@@ -0,0 +1,3 @@
+///<reference path='missing.ts'/>
+
+var broken: number = 1;
@@ -0,0 +1,6 @@
+///<reference path='other.ts'/>
+///<reference path='unused.ts'/>
+
+var other: Other = new Other();
+
+var label: string = 1;
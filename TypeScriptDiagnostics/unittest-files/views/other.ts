@@ -0,0 +1,4 @@
+class Other {
+}
+
+var count: number = "one";
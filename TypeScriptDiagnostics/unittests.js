@@ -0,0 +1,878 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils            = brackets.getModule("file/FileUtils"),
+        DocumentManager      = brackets.getModule("document/DocumentManager"),
+        TypeScriptService    = require("TypeScript/main").TypeScriptService,
+        TypeScriptFileGroups = require("TypeScript/main").TypeScriptFileGroups,
+        Diagnostics          = require("TypeScriptDiagnostics/Diagnostics"),
+        DiagnosticsConfig    = require("TypeScriptDiagnostics/DiagnosticsConfig"),
+        ReferenceGraph       = require("TypeScriptDiagnostics/ReferenceGraph"),
+        ErrorNavigation      = require("TypeScriptDiagnostics/ErrorNavigation"),
+        DiagnosticsExporter  = require("TypeScriptDiagnostics/DiagnosticsExporter"),
+        TypeScriptSpecUtils  = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath   = FileUtils.getNativeModuleDirectoryPath(module),
+        errorsPath      = extensionPath + "/unittest-files/errors.ts",
+        validPath       = extensionPath + "/unittest-files/valid.ts",
+        referencingPath = extensionPath + "/unittest-files/referencing.ts",
+        missingRefPath  = extensionPath + "/unittest-files/missing-reference.ts",
+        indirectRefPath = extensionPath + "/unittest-files/indirect-missing-reference.ts",
+        suppressedPath  = extensionPath + "/unittest-files/suppressed.ts",
+        unusedRefPath   = extensionPath + "/unittest-files/unused-reference.ts",
+        syntaxErrorPath = extensionPath + "/unittest-files/syntax-error.ts",
+        transitivePath  = extensionPath + "/unittest-files/transitive-a.ts",
+        graphPath       = extensionPath + "/unittest-files/graph",
+        exportPath      = extensionPath + "/unittest-files/export",
+        viewsPath       = extensionPath + "/unittest-files/views";
+
+    describe("TypeScript Diagnostics", function () {
+
+        var session = null;
+
+        function loadSession(fullPath) {
+            TypeScriptSpecUtils.loadSession(fullPath).done(function (s) {
+                session = s;
+            });
+        }
+
+        afterEach(function () {
+            DocumentManager.closeAll();
+            session = null;
+        });
+
+        describe("getScriptErrors", function () {
+
+            it("should not report errors for a valid script", function () {
+                loadSession(validPath);
+
+                runs(function () {
+                    expect(Diagnostics.getScriptErrors(session.tsDoc).length).toBe(0);
+                });
+            });
+
+            it("should report type and unresolved symbol errors", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getScriptErrors(session.tsDoc);
+                    expect(errors.length).toBe(2);
+
+                    expect(errors[0].scriptName).toBe(errorsPath);
+                    expect(errors[0].message).toContain("Cannot convert");
+                    expect(errors[0].range.start.line).toBe(4);
+
+                    expect(errors[1].scriptName).toBe(errorsPath);
+                    expect(errors[1].message).toContain("unknownFunction");
+                    expect(errors[1].range.start).toEqual({line: 6, ch: 0});
+                });
+            });
+
+            it("should not report errors from referenced scripts", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    Diagnostics.getScriptErrors(session.tsDoc).forEach(function (error) {
+                        expect(error.scriptName).not.toBe(validPath);
+                    });
+                });
+            });
+        });
+
+        describe("getSessionErrors", function () {
+
+            it("should report errors from referenced scripts", function () {
+                loadSession(referencingPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getSessionErrors(session).filter(function (error) {
+                        return error.scriptName === errorsPath;
+                    });
+                    expect(errors.length).toBeGreaterThan(0);
+                });
+            });
+
+            it("should not report errors for a valid session", function () {
+                loadSession(validPath);
+
+                runs(function () {
+                    expect(Diagnostics.getSessionErrors(session).length).toBe(0);
+                });
+            });
+        });
+
+        describe("getReferenceErrors", function () {
+
+            it("should initialize the session even if a reference is missing", function () {
+                loadSession(missingRefPath);
+
+                runs(function () {
+                    expect(session.getUnresolvedReferences().map(function (reference) {
+                        return reference.relativePath;
+                    })).toEqual(["missing.ts"]);
+                    expect(Diagnostics.getScriptErrors(session.tsDoc).length).toBe(0);
+                });
+            });
+
+            it("should report an error on the missing reference line", function () {
+                loadSession(missingRefPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getReferenceErrors(session);
+                    expect(errors.length).toBe(1);
+                    expect(errors[0].message).toContain("missing.ts");
+                    expect(errors[0].scriptName).toBe(missingRefPath);
+                    expect(errors[0].range).toEqual({
+                        start: {line: 1, ch: 20},
+                        end: {line: 1, ch: 30}
+                    });
+                });
+            });
+
+            it("should report an error on a missing reference of a referenced file", function () {
+                loadSession(indirectRefPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getReferenceErrors(session);
+                    expect(session.state).toBe(TypeScriptService.SessionState.FAILED);
+                    expect(session.isAttached(missingRefPath)).toBe(true);
+                    expect(errors.length).toBe(1);
+                    expect(errors[0].message).toContain("missing.ts");
+                    expect(errors[0].scriptName).toBe(missingRefPath);
+                    expect(errors[0].range).toEqual({
+                        start: {line: 1, ch: 20},
+                        end: {line: 1, ch: 30}
+                    });
+                });
+            });
+
+            it("should not report errors when all references are resolved", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    expect(Diagnostics.getReferenceErrors(session).length).toBe(0);
+                });
+            });
+        });
+
+        describe("session state", function () {
+
+            it("should be ready when all the references are loaded", function () {
+                loadSession(referencingPath);
+
+                runs(function () {
+                    expect(session.state).toBe(TypeScriptService.SessionState.READY);
+                });
+            });
+
+            it("should be failed when a reference can't be loaded", function () {
+                loadSession(missingRefPath);
+
+                runs(function () {
+                    expect(session.state).toBe(TypeScriptService.SessionState.FAILED);
+                });
+            });
+        });
+
+        describe("getSummary", function () {
+
+            it("should count the errors and the warnings", function () {
+                expect(Diagnostics.getSummary([])).toBe("0 errors, 0 warnings");
+                expect(Diagnostics.getSummary([
+                    {severity: "error"},
+                    {severity: "warning"},
+                    {severity: "error"}
+                ])).toBe("2 errors, 1 warning");
+            });
+        });
+
+        describe("getUnusedReferenceErrors", function () {
+
+            it("should report a warning on the reference whose script is not used", function () {
+                loadSession(unusedRefPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getUnusedReferenceErrors(session);
+                    expect(errors.length).toBe(1);
+                    expect(errors[0].message).toContain("valid.ts");
+                    expect(errors[0].severity).toBe("warning");
+                    expect(errors[0].scriptName).toBe(unusedRefPath);
+                    expect(errors[0].range).toEqual({
+                        start: {line: 0, ch: 20},
+                        end: {line: 0, ch: 28}
+                    });
+                    expect(errors[0].fix.range).toEqual({
+                        start: {line: 0, ch: 0},
+                        end: {line: 1, ch: 0}
+                    });
+                });
+            });
+
+            it("should not report the references whose script is used", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    expect(Diagnostics.getUnusedReferenceErrors(session).length).toBe(0);
+                });
+            });
+
+            it("should not report a reference bringing in a used script indirectly", function () {
+                loadSession(transitivePath);
+
+                runs(function () {
+                    expect(session.isAttached(extensionPath + "/unittest-files/transitive-c.ts")).toBe(true);
+                    expect(Diagnostics.getUnusedReferenceErrors(session).length).toBe(0);
+                    expect(Diagnostics.getSessionErrors(session).length).toBe(0);
+                });
+            });
+
+            it("should remove the reference line when the fix is applied", function () {
+                var fixed = false,
+                    text;
+
+                loadSession(unusedRefPath);
+
+                runs(function () {
+                    text = session.tsDoc.getText();
+                    Diagnostics.applyFix(Diagnostics.getUnusedReferenceErrors(session)[0]).done(function () {
+                        fixed = true;
+                    });
+                });
+
+                waitsFor(function () {
+                    return fixed;
+                }, "Unable to apply the fix", 10000);
+
+                runs(function () {
+                    expect(session.tsDoc.getText()).toBe(text.substr(text.indexOf("\n") + 1));
+                    session.tsDoc.doc.setText(text);
+                });
+            });
+        });
+
+        describe("severities", function () {
+
+            afterEach(function () {
+                DiagnosticsConfig.setSeverities(null);
+            });
+
+            it("should report syntax and semantic errors as errors by default", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    Diagnostics.getScriptErrors(session.tsDoc).forEach(function (error) {
+                        expect(error.category).toBe("semantic");
+                        expect(error.severity).toBe("error");
+                    });
+                });
+            });
+
+            it("should tell the parse errors from the type check errors", function () {
+                loadSession(syntaxErrorPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getScriptErrors(session.tsDoc);
+                    expect(errors.length).toBe(2);
+                    expect(errors[0].category).toBe("syntax");
+                    expect(errors[0].range.start.line).toBe(0);
+                    expect(errors[1].category).toBe("semantic");
+                });
+            });
+
+            it("should apply the configured severity of each category", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    DiagnosticsConfig.setSeverities({semantic: "warning"});
+                    var errors = Diagnostics.getScriptErrors(session.tsDoc);
+                    expect(errors.length).toBe(2);
+                    expect(errors[0].severity).toBe("warning");
+                });
+            });
+
+            it("should not report the categories configured as ignored", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    DiagnosticsConfig.setSeverities({semantic: "ignore"});
+                    expect(Diagnostics.getScriptErrors(session.tsDoc).length).toBe(0);
+                });
+            });
+
+            it("should ignore invalid severities", function () {
+                DiagnosticsConfig.setSeverities({semantic: "fatal"});
+                expect(DiagnosticsConfig.getSeverity("semantic")).toBe("error");
+            });
+
+            it("should not report errors on a line following a ts-suppress comment", function () {
+                loadSession(suppressedPath);
+
+                runs(function () {
+                    var errors = Diagnostics.getScriptErrors(session.tsDoc);
+                    expect(errors.length).toBe(1);
+                    expect(errors[0].message).toContain("unknownFunction");
+                });
+            });
+        });
+
+        describe("ReferenceGraph", function () {
+
+            var errors = null;
+
+            function analyze(fullPath) {
+                loadSession(fullPath);
+
+                runs(function () {
+                    ReferenceGraph.buildGraph(session.tsDoc.scriptName).done(function (graph) {
+                        errors = Diagnostics.getReferenceGraphErrors(session, graph);
+                    });
+                });
+
+                waitsFor(function () {
+                    return errors !== null;
+                }, "Unable to analyse the reference graph", 10000);
+            }
+
+            afterEach(function () {
+                errors = null;
+            });
+
+            it("should parse the references and the classes of a file", function () {
+                var file = ReferenceGraph.parseFile("/project/main.ts",
+                                                    "///<reference path='lib/../base.ts'/>\n" +
+                                                    "// class Commented\n" +
+                                                    "class Derived extends M.Base {\n}\n");
+                expect(file.references.length).toBe(1);
+                expect(file.references[0].fullPath).toBe("/project/base.ts");
+                expect(file.references[0].range).toEqual({
+                    start: {line: 0, ch: 20},
+                    end: {line: 0, ch: 34}
+                });
+                expect(file.classes).toEqual(["Derived"]);
+                expect(file.classUses.map(function (classUse) {
+                    return classUse.name;
+                })).toEqual(["M", "Base"]);
+                expect(file.classUses[1].isExtended).toBe(true);
+                expect(file.classUses[1].range.start).toEqual({line: 2, ch: 24});
+            });
+
+            it("should only parse the names used when a file is loaded", function () {
+                var file = ReferenceGraph.parseFile("/project/main.ts",
+                                                    "class Derived {\n" +
+                                                    "    static instance = new Static();\n" +
+                                                    "    member = new Member();\n" +
+                                                    "    method() { return new Method(); }\n" +
+                                                    "}\n" +
+                                                    "var typed: Typed = new TopLevel();\n");
+                expect(file.classUses.map(function (classUse) {
+                    return classUse.name;
+                })).toEqual(["Static", "TopLevel"]);
+                expect(file.classUses[0].isExtended).toBe(false);
+            });
+
+            it("should update a file of a graph unless its references change", function () {
+                var graph = {root: "/project/main.ts", files: {}};
+                graph.files["/project/main.ts"] = ReferenceGraph.parseFile("/project/main.ts",
+                                                                           "///<reference path='base.ts'/>\n");
+
+                expect(ReferenceGraph.updateFile(graph, "/project/main.ts",
+                                                 "///<reference path='base.ts'/>\nclass Main {\n}\n")).toBe(true);
+                expect(graph.files["/project/main.ts"].classes).toEqual(["Main"]);
+                expect(ReferenceGraph.updateFile(graph, "/project/main.ts", "class Main {\n}\n")).toBe(false);
+                expect(graph.files["/project/main.ts"].references.length).toBe(1);
+            });
+
+            it("should find the file to update by its normalized path", function () {
+                var graph = {root: "/project/main.ts", files: {}};
+                graph.files["/project/main.ts"] = ReferenceGraph.parseFile("/project/main.ts", "");
+
+                expect(ReferenceGraph.updateFile(graph, "/project/lib/../main.ts", "class Main {\n}\n")).toBe(true);
+                expect(graph.files["/project/main.ts"].classes).toEqual(["Main"]);
+                // A file out of the graph requires building it again
+                expect(ReferenceGraph.updateFile(graph, "/project/other.ts", "")).toBe(false);
+            });
+
+            it("should not report warnings for a well ordered graph", function () {
+                analyze(graphPath + "/ordered.ts");
+
+                runs(function () {
+                    expect(errors.length).toBe(0);
+                });
+            });
+
+            it("should report a warning on the reference closing a cycle", function () {
+                analyze(graphPath + "/cycle-a.ts");
+
+                runs(function () {
+                    var cycleErrors = errors.filter(function (error) {
+                        return error.message.indexOf("Reference cycle") === 0;
+                    });
+                    expect(cycleErrors.length).toBe(1);
+                    expect(cycleErrors[0].message).toBe("Reference cycle: cycle-a.ts -> cycle-b.ts -> cycle-a.ts");
+                    expect(cycleErrors[0].scriptName).toBe(graphPath + "/cycle-b.ts");
+                    expect(cycleErrors[0].range.start.line).toBe(0);
+                    expect(cycleErrors[0].severity).toBe("warning");
+                });
+            });
+
+            it("should report a class extended before the file declaring it in a cycle", function () {
+                analyze(graphPath + "/cycle-a.ts");
+
+                runs(function () {
+                    var orderErrors = errors.filter(function (error) {
+                        return error.message.indexOf("extends the class 'A'") !== -1;
+                    });
+                    expect(orderErrors.length).toBe(1);
+                    expect(orderErrors[0].scriptName).toBe(graphPath + "/cycle-b.ts");
+                    expect(orderErrors[0].range.start.line).toBe(0);
+                });
+            });
+
+            it("should report a class extended before the file declaring it on the including reference", function () {
+                analyze(graphPath + "/order-main.ts");
+
+                runs(function () {
+                    expect(errors.length).toBe(1);
+                    expect(errors[0].message).toBe("'derived.ts' extends the class 'Base' before 'base.ts' " +
+                                                   "declares it in the concatenation order");
+                    expect(errors[0].scriptName).toBe(graphPath + "/order-main.ts");
+                    expect(errors[0].range.start).toEqual({line: 0, ch: 20});
+                    expect(errors[0].severity).toBe("warning");
+                });
+            });
+
+            it("should report a class instantiated when loaded before the file declaring it", function () {
+                analyze(graphPath + "/usage-main.ts");
+
+                runs(function () {
+                    expect(errors.length).toBe(1);
+                    expect(errors[0].message).toBe("'usage.ts' uses the class 'Base' before 'base.ts' " +
+                                                   "declares it in the concatenation order");
+                    expect(errors[0].scriptName).toBe(graphPath + "/usage-main.ts");
+                });
+            });
+
+            it("should fail to build the graph of a file that cannot be loaded", function () {
+                var failed = false;
+                ReferenceGraph.buildGraph(graphPath + "/missing.ts").fail(function () {
+                    failed = true;
+                });
+
+                waitsFor(function () {
+                    return failed;
+                }, "The reference graph should not be built", 10000);
+            });
+        });
+
+        describe("ErrorNavigation", function () {
+
+            function createError(scriptName, line, ch) {
+                return {
+                    message: scriptName + ":" + line,
+                    range: {start: {line: line, ch: ch}, end: {line: line, ch: ch + 1}},
+                    scriptName: scriptName
+                };
+            }
+
+            var errors = ErrorNavigation.sortErrors("/main.ts", [
+                createError("/b.ts", 1, 0),
+                createError("/main.ts", 5, 0),
+                createError("/a.ts", 2, 0),
+                createError("/main.ts", 1, 3)
+            ]);
+
+            it("should sort the main script errors first, then the others by script name", function () {
+                expect(errors.map(function (error) {
+                    return error.message;
+                })).toEqual(["/main.ts:1", "/main.ts:5", "/a.ts:2", "/b.ts:1"]);
+            });
+
+            it("should find the next error in the current script", function () {
+                var error = ErrorNavigation.findNextError(errors, "/main.ts", "/main.ts", {line: 1, ch: 3});
+                expect(error.message).toBe("/main.ts:5");
+            });
+
+            it("should find the next error in the next script", function () {
+                var error = ErrorNavigation.findNextError(errors, "/main.ts", "/main.ts", {line: 6, ch: 0});
+                expect(error.message).toBe("/a.ts:2");
+            });
+
+            it("should wrap around to the first error", function () {
+                var error = ErrorNavigation.findNextError(errors, "/main.ts", "/b.ts", {line: 3, ch: 0});
+                expect(error.message).toBe("/main.ts:1");
+            });
+
+            it("should find the previous error across scripts", function () {
+                var error = ErrorNavigation.findPreviousError(errors, "/main.ts", "/a.ts", {line: 0, ch: 0});
+                expect(error.message).toBe("/main.ts:5");
+            });
+
+            it("should wrap around to the last error", function () {
+                var error = ErrorNavigation.findPreviousError(errors, "/main.ts", "/main.ts", {line: 1, ch: 3});
+                expect(error.message).toBe("/b.ts:1");
+            });
+
+            it("should move from the selected range of the current error", function () {
+                var wideError = createError("/main.ts", 3, 0),
+                    selectedErrors;
+                wideError.range.end = {line: 3, ch: 10};
+                selectedErrors = ErrorNavigation.sortErrors("/main.ts", errors.concat([
+                    wideError,
+                    createError("/main.ts", 3, 4)
+                ]));
+
+                // The selection of the current error starts at its start
+                var next = ErrorNavigation.findNextError(selectedErrors, "/main.ts", "/main.ts", wideError.range.start),
+                    previous = ErrorNavigation.findPreviousError(selectedErrors, "/main.ts", "/main.ts", wideError.range.start);
+                expect(next.range.start).toEqual({line: 3, ch: 4});
+                expect(previous.message).toBe("/main.ts:1");
+            });
+
+            it("should not find any error when there is none", function () {
+                expect(ErrorNavigation.findNextError([], "/main.ts", "/main.ts", {line: 0, ch: 0})).toBeNull();
+                expect(ErrorNavigation.findPreviousError([], "/main.ts", "/main.ts", {line: 0, ch: 0})).toBeNull();
+            });
+        });
+
+        describe("DiagnosticsExporter", function () {
+
+            var files = TypeScriptFileGroups.groupByFile([{
+                message: "Cannot convert 'number' to 'string'",
+                range: {start: {line: 4, ch: 16}, end: {line: 4, ch: 17}},
+                scriptName: "/a.ts"
+            }, {
+                message: "The name 'x' does not exist in the current scope",
+                range: {start: {line: 6, ch: 0}, end: {line: 6, ch: 1}},
+                scriptName: "/a.ts"
+            }], "errors", null, ["/b.ts", "/a.ts"]);
+
+            it("should group the errors by file, including the files without error", function () {
+                expect(files.length).toBe(2);
+                expect(files[0].fullPath).toBe("/a.ts");
+                expect(files[0].errors.length).toBe(2);
+                expect(files[1].fullPath).toBe("/b.ts");
+                expect(files[1].errors.length).toBe(0);
+            });
+
+            it("should export to JSON with 1-based positions", function () {
+                var result = JSON.parse(DiagnosticsExporter.formatJSON(files));
+                expect(result.files.length).toBe(2);
+                expect(result.files[0].file).toBe("/a.ts");
+                expect(result.files[0].errors[0]).toEqual({
+                    line: 5,
+                    column: 17,
+                    endLine: 5,
+                    endColumn: 18,
+                    severity: "error",
+                    message: "Cannot convert 'number' to 'string'"
+                });
+                expect(result.files[1].errors).toEqual([]);
+            });
+
+            it("should export to JUnit XML with a failing test case per file with errors", function () {
+                var xml = $.parseXML(DiagnosticsExporter.formatJUnit(files)),
+                    $testSuite = $(xml).find("testsuite");
+                expect($testSuite.attr("tests")).toBe("2");
+                expect($testSuite.attr("failures")).toBe("1");
+                expect($testSuite.find("testcase").length).toBe(2);
+                expect($testSuite.find("testcase[name='/a.ts'] failure").attr("message"))
+                    .toBe("Cannot convert 'number' to 'string'");
+                expect($testSuite.find("testcase[name='/b.ts'] failure").length).toBe(0);
+            });
+
+            it("should not fail the JUnit test case of a file with only warnings", function () {
+                var warnings = TypeScriptFileGroups.groupByFile([{
+                    message: "Cannot convert 'number' to 'string'",
+                    range: {start: {line: 4, ch: 16}, end: {line: 4, ch: 17}},
+                    scriptName: "/a.ts",
+                    severity: "warning"
+                }], "errors", null, ["/a.ts"]);
+                var xml = $.parseXML(DiagnosticsExporter.formatJUnit(warnings)),
+                    $testSuite = $(xml).find("testsuite");
+                expect($testSuite.attr("failures")).toBe("0");
+                expect($testSuite.find("failure").length).toBe(0);
+                expect($testSuite.find("system-out").text()).toContain("warning: Cannot convert");
+            });
+
+            it("should export to checkstyle XML with an error element per error", function () {
+                var xml = $.parseXML(DiagnosticsExporter.formatCheckstyle(files)),
+                    $errors = $(xml).find("file[name='/a.ts'] error");
+                expect($(xml).find("file").length).toBe(2);
+                expect($errors.length).toBe(2);
+                expect($errors.eq(1).attr("line")).toBe("7");
+                expect($errors.eq(1).attr("column")).toBe("1");
+                expect($errors.eq(1).attr("severity")).toBe("error");
+                expect($errors.eq(1).attr("message")).toBe("The name 'x' does not exist in the current scope");
+            });
+
+            it("should export the errors of a session", function () {
+                loadSession(errorsPath);
+
+                runs(function () {
+                    var result = JSON.parse(DiagnosticsExporter.exportSession(session, "json"));
+                    expect(result.files.map(function (file) {
+                        return file.file;
+                    })).toEqual([errorsPath, validPath]);
+                    expect(result.files[0].errors.length).toBe(2);
+                });
+            });
+
+            it("should reject the export of an unknown format", function () {
+                var rejected = false;
+                DiagnosticsExporter.exportProjectToFile("unknown").fail(function () {
+                    rejected = true;
+                });
+                expect(rejected).toBe(true);
+            });
+        });
+    });
+
+    describe("TypeScript Diagnostics project export", function () {
+
+        var test = TypeScriptSpecUtils.setupTestWindow(exportPath);
+
+        it("should check each file of the project with its own references only", function () {
+            var text = null;
+
+            runs(function () {
+                var extensionRequire = test.testWindow.brackets.getModule("utils/ExtensionLoader")
+                    .getRequireContextForExtension("TypeScriptCodeIntel");
+                extensionRequire("TypeScriptDiagnostics/DiagnosticsExporter").exportProject("json")
+                    .done(function (result) {
+                        text = result;
+                    });
+                waitsFor(function () {
+                    return text !== null;
+                }, "exporting the project", 10000);
+            });
+
+            runs(function () {
+                var errorsObj = {};
+                JSON.parse(text).files.forEach(function (file) {
+                    errorsObj[file.file] = file.errors;
+                });
+                // The declarations of the other file are neither visible nor duplicated
+                expect(errorsObj[exportPath + "/first.ts"].length).toBe(1);
+                expect(errorsObj[exportPath + "/first.ts"][0].message)
+                    .toBe("The name 'total' does not exist in the current scope");
+                expect(errorsObj[exportPath + "/second.ts"]).toEqual([]);
+            });
+        });
+    });
+
+    describe("TypeScript Diagnostics markers", function () {
+
+        var test = TypeScriptSpecUtils.setupTestWindow(viewsPath),
+            mainPath = viewsPath + "/main.ts";
+
+        function getMarks(className) {
+            return TypeScriptSpecUtils.getTestEditor(test)._codeMirror.getAllMarks().filter(function (mark) {
+                return mark.className === className;
+            });
+        }
+
+        function getMarkedLines(className) {
+            return getMarks(className).map(function (mark) {
+                return mark.find().from.line;
+            });
+        }
+
+        beforeEach(function () {
+            TypeScriptSpecUtils.openInTestWindow(test, mainPath, {line: 0, ch: 0});
+
+            // The unused references are found once the analysis has settled
+            waitsFor(function () {
+                return getMarks("ts-warning").length > 0;
+            }, "Warnings not marked", 5000);
+        });
+
+        afterEach(function () {
+            // Discard the edits
+            test.testWindow.brackets.test.DocumentManager.closeAll();
+        });
+
+        it("should mark the errors of the current file with their message", function () {
+            runs(function () {
+                var errorMarks = getMarks("ts-error");
+                expect(errorMarks.length).toBe(1);
+                expect(errorMarks[0].title).toBe("Cannot convert 'number' to 'string'");
+                expect(errorMarks[0].find()).toEqual({from: {line: 5, ch: 20}, to: {line: 5, ch: 21}});
+
+                expect(getMarks("ts-warning")[0].title).toBe("The referenced file 'unused.ts' is not used");
+                expect(getMarkedLines("ts-warning")).toEqual([1]);
+                expect(getMarkedLines("ts-unused")).toEqual([1]);
+            });
+        });
+
+        it("should update the markers after an edit", function () {
+            runs(function () {
+                var doc = TypeScriptSpecUtils.getTestEditor(test).document;
+                doc.replaceRange("\"one\"", {line: 5, ch: 20}, {line: 5, ch: 21});
+                doc.replaceRange("\nvar size: number = \"big\";", {line: 5, ch: 26});
+            });
+
+            waitsFor(function () {
+                return getMarkedLines("ts-error")[0] === 6;
+            }, "Markers not updated", 5000);
+
+            runs(function () {
+                var errorMarks = getMarks("ts-error");
+                expect(errorMarks.length).toBe(1);
+                expect(errorMarks[0].title).toBe("Cannot convert 'string' to 'number'");
+            });
+        });
+
+        it("should clear the markers once the errors are fixed", function () {
+            runs(function () {
+                var doc = TypeScriptSpecUtils.getTestEditor(test).document;
+                doc.replaceRange("\"one\"", {line: 5, ch: 20}, {line: 5, ch: 21});
+                doc.replaceRange("", {line: 1, ch: 0}, {line: 2, ch: 0});
+            });
+
+            waitsFor(function () {
+                return getMarks("ts-error").length === 0 && getMarks("ts-warning").length === 0;
+            }, "Markers not cleared", 5000);
+
+            runs(function () {
+                expect(getMarks("ts-unused").length).toBe(0);
+            });
+        });
+    });
+
+    describe("TypeScript Problems panel", function () {
+
+        var test = TypeScriptSpecUtils.setupTestWindow(viewsPath),
+            mainPath = viewsPath + "/main.ts",
+            otherPath = viewsPath + "/other.ts";
+
+        function getPanel() {
+            return test.testWindow.$("#typescript-problems");
+        }
+
+        function getRowTexts(selector) {
+            return getPanel().find(selector).map(function () {
+                return test.testWindow.$(this).text().replace(/\s+/g, " ").trim();
+            }).get();
+        }
+
+        beforeEach(function () {
+            TypeScriptSpecUtils.openInTestWindow(test, mainPath, {line: 0, ch: 0});
+
+            runs(function () {
+                waitsForDone(test.testWindow.brackets.test.CommandManager.execute("typescript.toggleProblems"),
+                             "showing the problems panel");
+            });
+
+            waitsFor(function () {
+                return getPanel().find(".ts-problems-error").length === 3;
+            }, "Problems not listed", 5000);
+        });
+
+        it("should list the errors of the session grouped by file, current file first", function () {
+            runs(function () {
+                expect(getPanel().is(":visible")).toBe(true);
+                expect(getPanel().find(".ts-problems-summary").text()).toBe("2 errors, 1 warning");
+                expect(getRowTexts(".ts-problems-file")).toEqual(["main.ts (2)", "other.ts (1)"]);
+
+                var errorRows = getRowTexts(".ts-problems-error");
+                expect(errorRows.slice(0, 2).sort()).toEqual([
+                    "error 6 Cannot convert 'number' to 'string'",
+                    "warning 2 The referenced file 'unused.ts' is not used Remove"
+                ]);
+                expect(errorRows[2]).toBe("error 4 Cannot convert 'string' to 'number'");
+            });
+        });
+
+        it("should open the file of a clicked error and select its range", function () {
+            runs(function () {
+                getPanel().find(".ts-problems-error").last().click();
+            });
+
+            waitsFor(function () {
+                return TypeScriptSpecUtils.getTestEditor(test).document.file.fullPath === otherPath;
+            }, "Clicked error not opened", 2000);
+
+            runs(function () {
+                expect(TypeScriptSpecUtils.getTestEditor(test).getSelection()).toEqual({
+                    start: {line: 3, ch: 20},
+                    end: {line: 3, ch: 25}
+                });
+            });
+        });
+    });
+
+    describe("TypeScript status indicator", function () {
+
+        var test = TypeScriptSpecUtils.setupTestWindow(viewsPath),
+            mainPath = viewsPath + "/main.ts",
+            brokenPath = viewsPath + "/broken.ts";
+
+        function getIndicator() {
+            return test.testWindow.$("#typescript-status");
+        }
+
+        it("should display the count of errors and warnings of the current session", function () {
+            TypeScriptSpecUtils.openInTestWindow(test, mainPath, {line: 0, ch: 0});
+
+            waitsFor(function () {
+                return getIndicator().text() === "TypeScript: 2 errors, 1 warning";
+            }, "Errors not counted", 5000);
+
+            runs(function () {
+                expect(getIndicator().hasClass("ts-status-ready")).toBe(true);
+                expect(getIndicator().attr("title")).toBe("Show the TypeScript problems");
+            });
+        });
+
+        it("should display the failed state of a session with a missing reference", function () {
+            TypeScriptSpecUtils.openInTestWindow(test, brokenPath, {line: 0, ch: 0});
+
+            waitsFor(function () {
+                return getIndicator().hasClass("ts-status-failed");
+            }, "Failed state not displayed", 5000);
+
+            runs(function () {
+                expect(getIndicator().text()).toBe("TypeScript (failed): 1 error, 0 warnings");
+                expect(getIndicator().attr("title")).toBe("Unable to load missing.ts. Show the TypeScript problems");
+            });
+        });
+
+        it("should open the problems panel when clicked", function () {
+            TypeScriptSpecUtils.openInTestWindow(test, mainPath, {line: 0, ch: 0});
+
+            runs(function () {
+                expect(test.testWindow.$("#typescript-problems").is(":visible")).toBe(false);
+                getIndicator().click();
+                expect(test.testWindow.$("#typescript-problems").is(":visible")).toBe(true);
+            });
+        });
+    });
+});
@@ -0,0 +1,196 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var PanelManager         = brackets.getModule("view/PanelManager"),
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        TypeScriptFileGroups = require("TypeScript/main").TypeScriptFileGroups,
+        PanelTemplate        = require("text!TypeScriptFindReferences/htmlContent/references-panel.html"),
+        TableTemplate        = require("text!TypeScriptFindReferences/htmlContent/references-table.html");
+
+    /**
+     * Bottom panel listing the references.
+     * @type {Panel}
+     * @private
+     */
+    var _panel = null;
+
+    /**
+     * Name of the symbol whose references are listed.
+     * @type {string}
+     * @private
+     */
+    var _symbolName = "";
+
+    /**
+     * References currently listed, grouped by file.
+     * @type {Array.<{fullPath: string, references: Array}>}
+     * @private
+     */
+    var _files = [];
+
+    /**
+     * Groups the given references by script name. The references of the given main
+     * script name come first, then the others files sorted by name. The references
+     * of a same file are sorted by position.
+     * @param {!string} mainScriptName
+     * @param {!Array.<{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} references
+     * @returns {Array.<{fullPath: string, references: Array}>}
+     * @private
+     */
+    function _groupByFile(mainScriptName, references) {
+        var files = TypeScriptFileGroups.groupByFile(references, "references", mainScriptName);
+        files.forEach(function (file) {
+            file.references.sort(function (a, b) {
+                return TypeScriptFileGroups.comparePositions(a.range.start, b.range.start);
+            });
+        });
+        return files;
+    }
+
+    /**
+     * Splits the line text of the given reference around the reference range. The
+     * indentation of the line is removed.
+     * @param {!{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, lineText: string}} reference
+     * @returns {{before: string, match: string, after: string}}
+     * @private
+     */
+    function _getPreview(reference) {
+        var text = reference.lineText,
+            start = reference.range.start.ch,
+            end = (reference.range.end.line === reference.range.start.line) ? reference.range.end.ch : text.length;
+
+        return {
+            before: text.substring(0, start).replace(/^\s+/, ""),
+            match: text.substring(start, end),
+            after: text.substring(end)
+        };
+    }
+
+    /**
+     * Converts the given reference to its view in the references table.
+     * @param {!{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, isWriteAccess: boolean, lineText: string}} reference
+     * @returns {{access: string, line: number, preview: {before: string, match: string, after: string}}}
+     * @private
+     */
+    function _convertReference(reference) {
+        return {
+            access: reference.isWriteAccess ? "write" : "read",
+            line: reference.range.start.line + 1,
+            preview: _getPreview(reference)
+        };
+    }
+
+    /**
+     * Renders the current references in the panel.
+     * @private
+     */
+    function _render() {
+        var count = 0;
+        _files.forEach(function (file) {
+            count += file.references.length;
+        });
+
+        _panel.$panel.find(".ts-references-summary")
+            .text(count + (count === 1 ? " reference to '" : " references to '") + _symbolName + "'");
+        TypeScriptFileGroups.renderFiles(_panel.$panel.find(".table-container"), TableTemplate,
+                                         _files, "references", _convertReference);
+    }
+
+    /**
+     * Opens the file and selects the range of the clicked reference.
+     * @param event
+     * @private
+     */
+    function _handleReferenceClick(event) {
+        var rowItem = TypeScriptFileGroups.getRowItem(_files, "references", $(event.currentTarget));
+
+        if (rowItem) {
+            TypeScriptNavigation.goTo(rowItem.file.fullPath, rowItem.item.range.start, rowItem.item.range.end);
+        }
+    }
+
+    /**
+     * Replaces the references listed in the panel.
+     * @param {!string} symbolName Name of the symbol whose references are listed
+     * @param {!string} mainScriptName Script name whose references are listed first
+     * @param {!Array.<{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, isWriteAccess: boolean, lineText: string}>} references
+     */
+    function setReferences(symbolName, mainScriptName, references) {
+        _symbolName = symbolName;
+        _files = _groupByFile(mainScriptName, references);
+        if (_panel) {
+            _render();
+        }
+    }
+
+    /**
+     * Returns whether the panel is visible.
+     * @returns {boolean}
+     */
+    function isVisible() {
+        return _panel !== null && _panel.isVisible();
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {!boolean} visible
+     */
+    function setVisible(visible) {
+        if (!_panel) {
+            return;
+        }
+        if (visible) {
+            _panel.show();
+        } else {
+            _panel.hide();
+        }
+    }
+
+    /**
+     * Creates the bottom panel. Must be called once when the application is ready.
+     */
+    function init() {
+        _panel = PanelManager.createBottomPanel("typescript.references", $(PanelTemplate), 100);
+        _panel.$panel
+            .on("click", ".ts-references-reference", _handleReferenceClick)
+            .on("click", ".close", function () {
+                setVisible(false);
+            });
+        _render();
+    }
+
+    // Define public API
+    exports.init          = init;
+    exports.setReferences = setReferences;
+    exports.isVisible     = isVisible;
+    exports.setVisible    = setVisible;
+});
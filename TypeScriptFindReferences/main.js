@@ -0,0 +1,105 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit           = brackets.getModule("utils/AppInit"),
+        CommandManager    = brackets.getModule("command/CommandManager"),
+        Menus             = brackets.getModule("command/Menus"),
+        ExtensionUtils    = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils   = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService = require("TypeScript/main").TypeScriptService,
+        ReferencesPanel   = require("TypeScriptFindReferences/ReferencesPanel");
+
+    var FIND_REFERENCES_COMMAND_ID = "typescript.findReferences";
+
+    /**
+     * Returns the references to the symbol at the given position in the given
+     * session main script, each with the text of its line.
+     * @param {!TypeScriptSession} session
+     * @param {!{line:number, ch:number}} pos
+     * @returns {Array.<{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, isWriteAccess: boolean, lineText: string}>}
+     */
+    function getReferences(session, pos) {
+        var tsDoc = session.tsDoc,
+            linesCache = {};
+
+        return tsDoc.getReferencesAtPosition(pos).map(function (reference) {
+            if (!linesCache.hasOwnProperty(reference.scriptName)) {
+                linesCache[reference.scriptName] = (tsDoc.getScriptText(reference.scriptName) || "").split("\n");
+            }
+            reference.lineText = linesCache[reference.scriptName][reference.range.start.line] || "";
+            return reference;
+        });
+    }
+
+    /**
+     * Lists in the references panel all the usages of the symbol at the cursor of
+     * the focused editor, in all the scripts of its session.
+     * @returns {$.Promise} A promise object that will be resolved when the references
+     *      are listed, or rejected if there is no symbol at the cursor.
+     */
+    function findReferences() {
+        var result = new $.Deferred(),
+            editor = TypeScriptUtils.getTypeScriptEditor();
+
+        if (!editor) {
+            return result.reject().promise();
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            var references = getReferences(session, editor.getCursorPos());
+            if (references.length === 0) {
+                result.reject();
+                return;
+            }
+            var first = references[0],
+                symbolName = first.lineText.substring(first.range.start.ch, first.range.end.ch);
+
+            ReferencesPanel.setReferences(symbolName, session.tsDoc.scriptName, references);
+            ReferencesPanel.setVisible(true);
+            result.resolve(references);
+        });
+        return result.promise();
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    AppInit.appReady(function () {
+        CommandManager.register("Find TypeScript References", FIND_REFERENCES_COMMAND_ID, findReferences);
+        Menus.getMenu(Menus.AppMenuBar.FIND_MENU).addMenuItem(FIND_REFERENCES_COMMAND_ID, "Shift-F12");
+
+        ReferencesPanel.init();
+    });
+
+    // Define public API
+    exports.getReferences  = getReferences;
+    exports.findReferences = findReferences;
+});
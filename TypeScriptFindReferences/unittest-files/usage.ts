@@ -0,0 +1,4 @@
+///<reference path='counter.ts'/>
+
+count = increment();
+var doubled = count * 2;
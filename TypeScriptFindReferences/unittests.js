@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils                = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils      = require("TypeScript/TypeScriptSpecUtils"),
+        TypeScriptFindReferences = require("TypeScriptFindReferences/main");
+
+    var extensionPath = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath   = extensionPath + "/unittest-files",
+        usagePath     = extensionPath + "/unittest-files/usage.ts",
+        counterPath   = extensionPath + "/unittest-files/counter.ts";
+
+    describe("TypeScript Find References", function () {
+
+        describe("getReferences", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(usagePath);
+
+            it("should find the references in all the scripts of the session", function () {
+                var references = TypeScriptFindReferences.getReferences(spec.session, {line: 2, ch: 0});
+                expect(references.length).toBe(5);
+                expect(references.filter(function (reference) {
+                    return reference.scriptName === counterPath;
+                }).length).toBe(3);
+            });
+
+            it("should mark the write accesses", function () {
+                var references = TypeScriptFindReferences.getReferences(spec.session, {line: 2, ch: 0}),
+                    accesses = references.map(function (reference) {
+                        return reference.scriptName + ":" + reference.range.start.line + ":" + reference.isWriteAccess;
+                    });
+                expect(accesses).toContain(usagePath + ":2:true");
+                expect(accesses).toContain(usagePath + ":3:false");
+                expect(accesses).toContain(counterPath + ":0:true");
+                expect(accesses).toContain(counterPath + ":3:true");
+                expect(accesses).toContain(counterPath + ":4:false");
+            });
+
+            it("should provide the text of the line of each reference", function () {
+                var reference = TypeScriptFindReferences.getReferences(spec.session, {line: 2, ch: 0}).filter(function (reference) {
+                    return reference.scriptName === counterPath && reference.range.start.line === 4;
+                })[0];
+                expect(reference.lineText).toBe("    return count;");
+                expect(reference.range).toEqual({
+                    start: {line: 4, ch: 11},
+                    end: {line: 4, ch: 16}
+                });
+            });
+
+            it("should not find references outside of a symbol", function () {
+                expect(TypeScriptFindReferences.getReferences(spec.session, {line: 1, ch: 0}).length).toBe(0);
+            });
+        });
+
+        describe("references panel", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            beforeEach(function () {
+                TypeScriptSpecUtils.openInTestWindow(test, usagePath, {line: 2, ch: 0});
+
+                runs(function () {
+                    waitsForDone(test.testWindow.brackets.test.CommandManager.execute("typescript.findReferences"),
+                                 "typescript.findReferences");
+                });
+            });
+
+            it("should list the references grouped by file, the current file first", function () {
+                var $panel = test.testWindow.$("#typescript-references");
+                expect($panel.is(":visible")).toBe(true);
+                expect($panel.find(".ts-references-summary").text()).toBe("5 references to 'count'");
+                expect($panel.find(".ts-references-file").length).toBe(2);
+                expect($panel.find(".ts-references-reference").length).toBe(5);
+                expect($panel.find(".ts-references-write").length).toBe(3);
+            });
+
+            it("should select a reference when its row is clicked", function () {
+                runs(function () {
+                    test.testWindow.$("#typescript-references .ts-references-reference").eq(4).click();
+                });
+
+                waitsFor(function () {
+                    return TypeScriptSpecUtils.getTestEditor(test).document.file.fullPath === counterPath;
+                }, "Reference not opened", 1000);
+
+                runs(function () {
+                    var selection = TypeScriptSpecUtils.getTestEditor(test).getSelection();
+                    expect(selection.start).toEqual({line: 4, ch: 11});
+                    expect(selection.end).toEqual({line: 4, ch: 16});
+                });
+            });
+        });
+    });
+});
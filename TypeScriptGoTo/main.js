@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit                = brackets.getModule("utils/AppInit"),
+        CommandManager         = brackets.getModule("command/CommandManager"),
+        Menus                  = brackets.getModule("command/Menus"),
+        DocumentManager        = brackets.getModule("document/DocumentManager"),
+        Async                  = brackets.getModule("utils/Async"),
+        MultiRangeInlineEditor = brackets.getModule("editor/MultiRangeInlineEditor").MultiRangeInlineEditor,
+        TypeScriptUtils        = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService      = require("TypeScript/main").TypeScriptService,
+        TypeScriptNavigation   = require("TypeScript/main").TypeScriptNavigation;
+
+    var JUMP_TO_DEFINITION_COMMAND_ID   = "typescript.jumpToDefinition",
+        GO_TO_IMPLEMENTATION_COMMAND_ID = "typescript.goToImplementation",
+        NAVIGATE_BACK_COMMAND_ID        = "typescript.navigateBack",
+        NAVIGATE_FORWARD_COMMAND_ID     = "typescript.navigateForward";
+
+    /**
+     * Get a typescript-goto-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-goto";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Opens the definition of the symbol at the cursor of the focused editor in the
+     * main editor and selects the declared name.
+     * @returns {$.Promise} A promise object that will be resolved when the definition
+     *      is selected, or rejected if there is no definition.
+     */
+    function jumpToDefinition() {
+        var result = new $.Deferred(),
+            editor = TypeScriptUtils.getTypeScriptEditor();
+
+        if (!editor) {
+            return result.reject().promise();
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            var definition = session.tsDoc.getDefinitionAtPosition(editor.getCursorPos());
+            if (!definition) {
+                result.reject();
+                return;
+            }
+            TypeScriptNavigation.goTo(definition.scriptName, definition.range.start, definition.range.end)
+                .done(function (definitionEditor) {
+                    result.resolve(definitionEditor);
+                })
+                .fail(function (error) {
+                    result.reject(error);
+                });
+        });
+        return result.promise();
+    }
+
+    /**
+     * Returns the name displayed for the given implementation: the class name, or
+     * the class and member names for a member.
+     * @param {!{name: string, kind: string, containerName: string}} implementor
+     * @returns {string}
+     * @private
+     */
+    function _getImplementorName(implementor) {
+        return (implementor.kind === "class") ? implementor.name :
+                implementor.containerName + "." + implementor.name;
+    }
+
+    /**
+     * Opens an inline editor in the given host editor showing all the given
+     * implementations.
+     * @param {!Editor} hostEditor
+     * @param {!Array.<{name: string, kind: string, containerName: string, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} implementors
+     * @returns {$.Promise} A promise object that will be resolved with the inline
+     *      editor when it is open.
+     * @private
+     */
+    function _openInlineEditor(hostEditor, implementors) {
+        var result = new $.Deferred(),
+            ranges = [];
+
+        Async.doInParallel(implementors, function (implementor, index) {
+            return DocumentManager.getDocumentForPath(implementor.scriptName).done(function (doc) {
+                ranges[index] = {
+                    document: doc,
+                    name: _getImplementorName(implementor),
+                    lineStart: implementor.declarationRange.start.line,
+                    lineEnd: implementor.declarationRange.end.line
+                };
+            });
+        }).done(function () {
+            var inlineEditor = new MultiRangeInlineEditor(ranges);
+            inlineEditor.load(hostEditor);
+            hostEditor.addInlineWidget(hostEditor.getCursorPos(), inlineEditor);
+            result.resolve(inlineEditor);
+        }).fail(function (error) {
+            result.reject(error);
+        });
+        return result.promise();
+    }
+
+    /**
+     * Goes to the implementations of the interface, or interface member, at the
+     * cursor of the focused editor. With a single implementation it is selected in the
+     * main editor, with several ones they are all shown in an inline editor.
+     * @returns {$.Promise} A promise object that will be resolved when the
+     *      implementations are shown, or rejected if there is none.
+     */
+    function goToImplementation() {
+        var result = new $.Deferred(),
+            editor = TypeScriptUtils.getTypeScriptEditor();
+
+        if (!editor) {
+            return result.reject().promise();
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            var implementors = session.tsDoc.getImplementorsAtPosition(editor.getCursorPos()),
+                promise;
+
+            if (implementors.length === 0) {
+                result.reject();
+                return;
+            }
+            if (implementors.length === 1) {
+                promise = TypeScriptNavigation.goTo(implementors[0].scriptName, implementors[0].range.start,
+                                                    implementors[0].range.end);
+            } else {
+                promise = _openInlineEditor(editor, implementors);
+            }
+            promise.done(function (value) {
+                result.resolve(value);
+            }).fail(function (error) {
+                result.reject(error);
+            });
+        });
+        return result.promise();
+    }
+
+    AppInit.appReady(function () {
+        CommandManager.register("Jump to TypeScript Definition", JUMP_TO_DEFINITION_COMMAND_ID, jumpToDefinition);
+        CommandManager.register("Go to TypeScript Implementation", GO_TO_IMPLEMENTATION_COMMAND_ID,
+                                goToImplementation);
+        var backCommand = CommandManager.register("Navigate Back", NAVIGATE_BACK_COMMAND_ID,
+                                                  TypeScriptNavigation.goBack),
+            forwardCommand = CommandManager.register("Navigate Forward", NAVIGATE_FORWARD_COMMAND_ID,
+                                                     TypeScriptNavigation.goForward);
+
+        var navigateMenu = Menus.getMenu(Menus.AppMenuBar.NAVIGATE_MENU);
+        navigateMenu.addMenuDivider();
+        navigateMenu.addMenuItem(JUMP_TO_DEFINITION_COMMAND_ID, "Ctrl-J");
+        navigateMenu.addMenuItem(GO_TO_IMPLEMENTATION_COMMAND_ID, "Ctrl-Alt-J");
+        navigateMenu.addMenuItem(NAVIGATE_BACK_COMMAND_ID, "Ctrl-Alt-Left");
+        navigateMenu.addMenuItem(NAVIGATE_FORWARD_COMMAND_ID, "Ctrl-Alt-Right");
+
+        function updateHistoryCommands() {
+            backCommand.setEnabled(TypeScriptNavigation.canGoBack());
+            forwardCommand.setEnabled(TypeScriptNavigation.canGoForward());
+        }
+        $(TypeScriptNavigation).on(eventName("historyChange"), updateHistoryCommands);
+        updateHistoryCommands();
+    });
+
+    // Define public API
+    exports.jumpToDefinition   = jumpToDefinition;
+    exports.goToImplementation = goToImplementation;
+});
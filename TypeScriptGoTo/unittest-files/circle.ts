@@ -0,0 +1,5 @@
+class Circle implements Shape {
+    area() {
+        return 3;
+    }
+}
@@ -0,0 +1,11 @@
+class Shape {
+    area(): number {
+        return 0;
+    }
+}
+
+module Geometry {
+    export function origin() {
+        return 0;
+    }
+}
@@ -0,0 +1,15 @@
+///<reference path='circle.ts'/>
+
+interface Shape {
+    area(): number;
+}
+
+class Square implements Shape {
+    area() {
+        return 4;
+    }
+}
+
+interface Named {
+    name: string;
+}
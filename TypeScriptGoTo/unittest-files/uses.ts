@@ -0,0 +1,8 @@
+///<reference path='definitions.ts'/>
+
+var shape = new Shape();
+shape.area();
+Geometry.origin();
+
+var count = 0;
+count++;
@@ -0,0 +1,157 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath   = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath     = extensionPath + "/unittest-files",
+        usesPath        = extensionPath + "/unittest-files/uses.ts",
+        definitionsPath = extensionPath + "/unittest-files/definitions.ts",
+        shapesPath      = extensionPath + "/unittest-files/shapes.ts",
+        circlePath      = extensionPath + "/unittest-files/circle.ts";
+
+    describe("TypeScript Go To", function () {
+
+        describe("getDefinitionAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(usesPath);
+
+            it("should select the name of a class declared in a referenced file", function () {
+                var definition = spec.session.tsDoc.getDefinitionAtPosition({line: 2, ch: 16});
+                expect(definition.name).toBe("Shape");
+                expect(definition.kind).toBe("class");
+                expect(definition.scriptName).toBe(definitionsPath);
+                expect(definition.range).toEqual({
+                    start: {line: 0, ch: 6},
+                    end: {line: 0, ch: 11}
+                });
+                expect(definition.declarationRange.start).toEqual({line: 0, ch: 0});
+            });
+
+            it("should find the definition of a member", function () {
+                var definition = spec.session.tsDoc.getDefinitionAtPosition({line: 3, ch: 6});
+                expect(definition.name).toBe("area");
+                expect(definition.range.start).toEqual({line: 1, ch: 4});
+            });
+
+            it("should skip the modifiers of an exported declaration", function () {
+                var definition = spec.session.tsDoc.getDefinitionAtPosition({line: 4, ch: 9});
+                expect(definition.name).toBe("origin");
+                expect(definition.range.start).toEqual({line: 7, ch: 20});
+            });
+
+            it("should find a definition in the same file, even on its declaration line", function () {
+                var definition = spec.session.tsDoc.getDefinitionAtPosition({line: 7, ch: 0});
+                expect(definition.scriptName).toBe(usesPath);
+                expect(definition.range).toEqual({
+                    start: {line: 6, ch: 4},
+                    end: {line: 6, ch: 9}
+                });
+                expect(spec.session.tsDoc.getDefinitionAtPosition({line: 6, ch: 5}).range).toEqual(definition.range);
+            });
+
+            it("should not find a definition outside of a symbol", function () {
+                expect(spec.session.tsDoc.getDefinitionAtPosition({line: 1, ch: 0})).toBeNull();
+            });
+        });
+
+        describe("getImplementorsAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(shapesPath);
+
+            it("should find the classes implementing an interface, in all the scripts", function () {
+                var implementors = spec.session.tsDoc.getImplementorsAtPosition({line: 2, ch: 10});
+                expect(implementors.length).toBe(2);
+                expect(implementors[0].name).toBe("Square");
+                expect(implementors[0].kind).toBe("class");
+                expect(implementors[0].scriptName).toBe(shapesPath);
+                expect(implementors[0].range).toEqual({
+                    start: {line: 6, ch: 6},
+                    end: {line: 6, ch: 12}
+                });
+                expect(implementors[0].declarationRange.start).toEqual({line: 6, ch: 0});
+                expect(implementors[0].declarationRange.end.line).toBe(10);
+                expect(implementors[1].name).toBe("Circle");
+                expect(implementors[1].scriptName).toBe(circlePath);
+                expect(implementors[1].range.start).toEqual({line: 0, ch: 6});
+            });
+
+            it("should find the members implementing an interface member", function () {
+                var implementors = spec.session.tsDoc.getImplementorsAtPosition({line: 3, ch: 4});
+                expect(implementors.length).toBe(2);
+                expect(implementors[0].name).toBe("area");
+                expect(implementors[0].containerName).toBe("Square");
+                expect(implementors[0].range.start).toEqual({line: 7, ch: 4});
+                expect(implementors[1].containerName).toBe("Circle");
+                expect(implementors[1].range.start).toEqual({line: 1, ch: 4});
+            });
+
+            it("should not find implementations of an interface nobody implements", function () {
+                expect(spec.session.tsDoc.getImplementorsAtPosition({line: 12, ch: 10})).toEqual([]);
+            });
+        });
+
+        describe("commands", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function executeCommand(commandId) {
+                runs(function () {
+                    waitsForDone(test.testWindow.brackets.test.CommandManager.execute(commandId), commandId);
+                });
+            }
+
+            it("should select the definition of the symbol at the cursor in the main editor", function () {
+                TypeScriptSpecUtils.openInTestWindow(test, usesPath, {line: 2, ch: 16});
+                executeCommand("typescript.jumpToDefinition");
+
+                runs(function () {
+                    var editor = TypeScriptSpecUtils.getTestEditor(test);
+                    expect(editor.document.file.fullPath).toBe(definitionsPath);
+                    expect(editor.getSelection().start).toEqual({line: 0, ch: 6});
+                    expect(editor.getSelection().end).toEqual({line: 0, ch: 11});
+                });
+            });
+
+            it("should show several implementations in an inline editor", function () {
+                TypeScriptSpecUtils.openInTestWindow(test, shapesPath, {line: 2, ch: 10});
+                executeCommand("typescript.goToImplementation");
+
+                runs(function () {
+                    var editor = TypeScriptSpecUtils.getTestEditor(test);
+                    expect(editor.document.file.fullPath).toBe(shapesPath);
+                    expect(editor.getInlineWidgets().length).toBe(1);
+                });
+            });
+        });
+    });
+});
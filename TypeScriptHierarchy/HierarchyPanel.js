@@ -0,0 +1,221 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var PanelManager         = brackets.getModule("view/PanelManager"),
+        ProjectManager       = brackets.getModule("project/ProjectManager"),
+        Mustache             = brackets.getModule("thirdparty/mustache/mustache"),
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        PanelTemplate        = require("text!TypeScriptHierarchy/htmlContent/hierarchy-panel.html"),
+        TreeTemplate         = require("text!TypeScriptHierarchy/htmlContent/hierarchy-tree.html"),
+        NodeTemplate         = require("text!TypeScriptHierarchy/htmlContent/hierarchy-node.html");
+
+    /**
+     * Bottom panel showing the hierarchy.
+     * @type {Panel}
+     * @private
+     */
+    var _panel = null;
+
+    /**
+     * Summary of the hierarchy, shown in the panel toolbar.
+     * @type {string}
+     * @private
+     */
+    var _summary = "";
+
+    /**
+     * Sections of the hierarchy, each one with its own trees.
+     * @type {Array.<{label: string, nodes: Array, loadChildren: function(Object):Array}>}
+     * @private
+     */
+    var _sections = [];
+
+    /**
+     * All the nodes of the hierarchy, indexed as rendered, with the section they
+     * belong to.
+     * @type {Array.<{node: {range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, children: Array}, section: {loadChildren: function(Object):Array}}>}
+     * @private
+     */
+    var _nodes = [];
+
+    /**
+     * Returns the view of the given nodes of the given section for the templates,
+     * indexing them in _nodes. The nodes whose children are not loaded yet are
+     * collapsed.
+     * @param {!Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, children: ?Array}>} nodes
+     * @param {!{loadChildren: function(Object):Array}} section
+     * @returns {Array.<{index: number, name: string, kind: string, displayName: string, line: number, expandable: boolean, collapsed: boolean, hasChildren: boolean, children: Array}>}
+     * @private
+     */
+    function _getNodesView(nodes, section) {
+        return nodes.map(function (node) {
+            _nodes.push({node: node, section: section});
+            return {
+                index: _nodes.length - 1,
+                name: node.name,
+                kind: node.kind,
+                displayName: ProjectManager.makeProjectRelativeIfPossible(node.scriptName),
+                line: node.range.start.line + 1,
+                expandable: node.children === null || node.children.length > 0,
+                collapsed: node.children === null,
+                hasChildren: node.children !== null && node.children.length > 0,
+                children: node.children ? _getNodesView(node.children, section) : []
+            };
+        });
+    }
+
+    /**
+     * Renders the current hierarchy in the panel.
+     * @private
+     */
+    function _render() {
+        _nodes = [];
+        var sections = _sections.map(function (section) {
+            return {
+                label: section.label,
+                hasNodes: section.nodes.length > 0,
+                nodes: _getNodesView(section.nodes, section)
+            };
+        });
+
+        _panel.$panel.find(".ts-hierarchy-summary").text(_summary);
+        _panel.$panel.find(".ts-hierarchy-container")
+            .empty()
+            .append(Mustache.render(TreeTemplate, {sections: sections}, {node: NodeTemplate}));
+    }
+
+    /**
+     * Loads the children of the given node from its section and renders them in the
+     * given node element.
+     * @param {!jQueryObject} $node
+     * @param {!{node: {children: ?Array}, section: {loadChildren: function(Object):Array}}} entry
+     * @private
+     */
+    function _loadChildren($node, entry) {
+        entry.node.children = entry.section.loadChildren(entry.node);
+        if (entry.node.children.length === 0) {
+            $node.find(".ts-hierarchy-toggle").first().addClass("ts-hierarchy-leaf");
+            return;
+        }
+        var $children = $("<ul class='ts-hierarchy-nodes'/>");
+        _getNodesView(entry.node.children, entry.section).forEach(function (view) {
+            $children.append(Mustache.render(NodeTemplate, view, {node: NodeTemplate}));
+        });
+        $node.append($children);
+    }
+
+    /**
+     * Collapses or expands the node whose toggle is clicked, loading its children
+     * the first time.
+     * @param event
+     * @private
+     */
+    function _handleToggleClick(event) {
+        var $node = $(event.currentTarget).closest(".ts-hierarchy-node"),
+            entry = _nodes[$node.data("node-index")];
+
+        event.stopPropagation();
+        if (entry && entry.node.children === null) {
+            _loadChildren($node, entry);
+        }
+        $node.toggleClass("ts-hierarchy-collapsed");
+    }
+
+    /**
+     * Opens the file and selects the name of the clicked node.
+     * @param event
+     * @private
+     */
+    function _handleItemClick(event) {
+        var entry = _nodes[$(event.currentTarget).closest(".ts-hierarchy-node").data("node-index")];
+        if (entry) {
+            TypeScriptNavigation.goTo(entry.node.scriptName, entry.node.range.start, entry.node.range.end);
+        }
+    }
+
+    /**
+     * Replaces the hierarchy shown in the panel. The nodes whose children are null
+     * get them from the loadChildren function of their section when first expanded,
+     * the sections without such nodes don't need one.
+     * @param {!string} summary Summary of the hierarchy, like the name of its root
+     * @param {!Array.<{label: string, nodes: Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, children: ?Array}>, loadChildren: function(Object):Array}>} sections
+     */
+    function setHierarchy(summary, sections) {
+        _summary = summary;
+        _sections = sections;
+        if (_panel) {
+            _render();
+        }
+    }
+
+    /**
+     * Returns whether the panel is visible.
+     * @returns {boolean}
+     */
+    function isVisible() {
+        return _panel !== null && _panel.isVisible();
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {!boolean} visible
+     */
+    function setVisible(visible) {
+        if (!_panel) {
+            return;
+        }
+        if (visible) {
+            _panel.show();
+        } else {
+            _panel.hide();
+        }
+    }
+
+    /**
+     * Creates the bottom panel. Must be called once when the application is ready.
+     */
+    function init() {
+        _panel = PanelManager.createBottomPanel("typescript.hierarchy", $(PanelTemplate), 100);
+        _panel.$panel
+            .on("click", ".ts-hierarchy-toggle", _handleToggleClick)
+            .on("click", ".ts-hierarchy-item", _handleItemClick)
+            .on("click", ".close", function () {
+                setVisible(false);
+            });
+        _render();
+    }
+
+    // Define public API
+    exports.init         = init;
+    exports.setHierarchy = setHierarchy;
+    exports.isVisible    = isVisible;
+    exports.setVisible   = setVisible;
+});
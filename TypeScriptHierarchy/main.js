@@ -0,0 +1,152 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit           = brackets.getModule("utils/AppInit"),
+        CommandManager    = brackets.getModule("command/CommandManager"),
+        Menus             = brackets.getModule("command/Menus"),
+        ExtensionUtils    = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils   = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService = require("TypeScript/main").TypeScriptService,
+        HierarchyPanel    = require("TypeScriptHierarchy/HierarchyPanel");
+
+    var TYPE_HIERARCHY_COMMAND_ID = "typescript.showTypeHierarchy",
+        CALL_HIERARCHY_COMMAND_ID = "typescript.showCallHierarchy";
+
+    /**
+     * Shows in the hierarchy panel the base types and the subtypes of the class or
+     * interface at the cursor of the focused editor.
+     * @returns {$.Promise} A promise object that will be resolved with the type
+     *      hierarchy when it is shown, or rejected if there is no class or interface
+     *      at the cursor.
+     */
+    function showTypeHierarchy() {
+        var result = new $.Deferred(),
+            editor = TypeScriptUtils.getTypeScriptEditor();
+
+        if (!editor) {
+            return result.reject().promise();
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            var hierarchy = session.tsDoc.getTypeHierarchyAtPosition(editor.getCursorPos());
+            if (!hierarchy) {
+                result.reject();
+                return;
+            }
+            HierarchyPanel.setHierarchy(hierarchy.type.kind + " " + hierarchy.type.name, [
+                {label: "Supertypes", nodes: hierarchy.supertypes},
+                {label: "Subtypes", nodes: hierarchy.subtypes}
+            ]);
+            HierarchyPanel.setVisible(true);
+            result.resolve(hierarchy);
+        });
+        return result.promise();
+    }
+
+    /**
+     * Returns the nodes of the call hierarchy panel for the given call hierarchy
+     * items. Their children are loaded when they are expanded, except for the
+     * scripts which are never called.
+     * @param {!Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>} items
+     * @returns {Array.<{name: string, kind: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string, children: ?Array}>}
+     * @private
+     */
+    function _getCallNodes(items) {
+        return items.map(function (item) {
+            return {
+                name: item.name,
+                kind: item.kind,
+                range: item.range,
+                scriptName: item.scriptName,
+                children: (item.kind === "script") ? [] : null
+            };
+        });
+    }
+
+    /**
+     * Shows in the hierarchy panel the callers and the callees of the function or
+     * method at the cursor of the focused editor. Each caller, or callee, can be
+     * expanded to show its own callers, or callees.
+     * @returns {$.Promise} A promise object that will be resolved with the function
+     *      or method item when its hierarchy is shown, or rejected if there is no
+     *      function or method at the cursor.
+     */
+    function showCallHierarchy() {
+        var result = new $.Deferred(),
+            editor = TypeScriptUtils.getTypeScriptEditor();
+
+        if (!editor) {
+            return result.reject().promise();
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            var tsDoc = session.tsDoc,
+                item = tsDoc.getCallHierarchyItemAtPosition(editor.getCursorPos());
+            if (!item) {
+                result.reject();
+                return;
+            }
+            HierarchyPanel.setHierarchy(item.kind + " " + item.name, [{
+                label: "Incoming calls",
+                nodes: _getCallNodes(tsDoc.getIncomingCalls(item)),
+                loadChildren: function (node) {
+                    return _getCallNodes(tsDoc.getIncomingCalls(node));
+                }
+            }, {
+                label: "Outgoing calls",
+                nodes: _getCallNodes(tsDoc.getOutgoingCalls(item)),
+                loadChildren: function (node) {
+                    return _getCallNodes(tsDoc.getOutgoingCalls(node));
+                }
+            }]);
+            HierarchyPanel.setVisible(true);
+            result.resolve(item);
+        });
+        return result.promise();
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    AppInit.appReady(function () {
+        CommandManager.register("Show Type Hierarchy", TYPE_HIERARCHY_COMMAND_ID, showTypeHierarchy);
+        CommandManager.register("Show Call Hierarchy", CALL_HIERARCHY_COMMAND_ID, showCallHierarchy);
+        var navigateMenu = Menus.getMenu(Menus.AppMenuBar.NAVIGATE_MENU);
+        navigateMenu.addMenuDivider();
+        navigateMenu.addMenuItem(TYPE_HIERARCHY_COMMAND_ID, "Ctrl-Alt-H");
+        navigateMenu.addMenuItem(CALL_HIERARCHY_COMMAND_ID, "Ctrl-Alt-K");
+
+        HierarchyPanel.init();
+    });
+
+    // Define public API
+    exports.showTypeHierarchy = showTypeHierarchy;
+    exports.showCallHierarchy = showCallHierarchy;
+});
@@ -0,0 +1,20 @@
+///<reference path='pets.ts'/>
+
+interface Named {
+    name: string;
+}
+
+interface Animal extends Named {
+    speak(): string;
+}
+
+class Creature {
+}
+
+class Dog extends Creature implements Animal {
+    name = "dog";
+
+    speak() {
+        return "woof";
+    }
+}
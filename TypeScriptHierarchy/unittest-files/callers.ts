@@ -0,0 +1,12 @@
+///<reference path='calls.ts'/>
+
+function main() {
+    var greeter = new Greeter();
+    greeter.greet("world");
+    log("done");
+    [1, 2].forEach(function () {
+        log("item");
+    });
+}
+
+log("loaded");
@@ -0,0 +1,15 @@
+///<reference path='callers.ts'/>
+
+function log(message: string) {
+    return message;
+}
+
+class Greeter {
+    greet(name: string) {
+        return log(this.format(name));
+    }
+
+    format(name: string) {
+        return "Hello " + name;
+    }
+}
@@ -0,0 +1,15 @@
+///<reference path='animals.ts'/>
+
+class Puppy extends Dog {
+}
+
+interface Pet extends Animal {
+}
+
+class Cat implements Pet {
+    name = "cat";
+
+    speak() {
+        return "meow";
+    }
+}
@@ -0,0 +1,197 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath   = extensionPath + "/unittest-files",
+        animalsPath   = extensionPath + "/unittest-files/animals.ts",
+        petsPath      = extensionPath + "/unittest-files/pets.ts",
+        callsPath     = extensionPath + "/unittest-files/calls.ts",
+        callersPath   = extensionPath + "/unittest-files/callers.ts";
+
+    describe("TypeScript Hierarchy", function () {
+
+        function getNames(nodes) {
+            return nodes.map(function (node) {
+                return node.name;
+            });
+        }
+
+        describe("getTypeHierarchyAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(animalsPath);
+
+            it("should find the base types of a class, and their own base types", function () {
+                var hierarchy = spec.session.tsDoc.getTypeHierarchyAtPosition({line: 13, ch: 7});
+                expect(hierarchy.type).toEqual({
+                    name: "Dog",
+                    kind: "class",
+                    range: {start: {line: 13, ch: 6}, end: {line: 13, ch: 9}},
+                    scriptName: animalsPath
+                });
+                expect(getNames(hierarchy.supertypes)).toEqual(["Creature", "Animal"]);
+                expect(getNames(hierarchy.supertypes[1].children)).toEqual(["Named"]);
+                expect(hierarchy.supertypes[1].kind).toBe("interface");
+            });
+
+            it("should find the direct subtypes in all the scripts, and their own subtypes", function () {
+                var hierarchy = spec.session.tsDoc.getTypeHierarchyAtPosition({line: 6, ch: 12});
+                expect(getNames(hierarchy.subtypes)).toEqual(["Dog", "Pet"]);
+                expect(getNames(hierarchy.subtypes[0].children)).toEqual(["Puppy"]);
+                expect(hierarchy.subtypes[0].children[0]).toEqual({
+                    name: "Puppy",
+                    kind: "class",
+                    range: {start: {line: 2, ch: 6}, end: {line: 2, ch: 11}},
+                    scriptName: petsPath,
+                    children: []
+                });
+                expect(getNames(hierarchy.subtypes[1].children)).toEqual(["Cat"]);
+            });
+
+            it("should not find a type hierarchy outside of a class or an interface", function () {
+                expect(spec.session.tsDoc.getTypeHierarchyAtPosition({line: 16, ch: 5})).toBeNull();
+            });
+        });
+
+        describe("call hierarchy", function () {
+
+            var greet = {
+                name: "greet",
+                kind: "method",
+                range: {start: {line: 7, ch: 4}, end: {line: 7, ch: 9}},
+                scriptName: callsPath
+            };
+
+            var spec = TypeScriptSpecUtils.setupSession(callsPath);
+
+            it("should find the function or method at a position", function () {
+                expect(spec.session.tsDoc.getCallHierarchyItemAtPosition({line: 7, ch: 6})).toEqual(greet);
+                expect(spec.session.tsDoc.getCallHierarchyItemAtPosition({line: 8, ch: 16}).name).toBe("log");
+                expect(spec.session.tsDoc.getCallHierarchyItemAtPosition({line: 6, ch: 8})).toBeNull();
+            });
+
+            it("should find the callers with their calls, in all the scripts", function () {
+                var log = spec.session.tsDoc.getCallHierarchyItemAtPosition({line: 2, ch: 10}),
+                    callers = spec.session.tsDoc.getIncomingCalls(log);
+                expect(getNames(callers)).toEqual(["greet", "main", "callers.ts"]);
+                expect(callers[0].callRanges).toEqual([{start: {line: 8, ch: 15}, end: {line: 8, ch: 18}}]);
+                // The call in the function expression belongs to the enclosing function
+                expect(callers[1].scriptName).toBe(callersPath);
+                expect(callers[1].callRanges.length).toBe(2);
+                expect(callers[2].kind).toBe("script");
+            });
+
+            it("should find the callees with their calls", function () {
+                var callees = spec.session.tsDoc.getOutgoingCalls(greet);
+                expect(getNames(callees)).toEqual(["log", "format"]);
+                expect(callees[1].callRanges).toEqual([{start: {line: 8, ch: 24}, end: {line: 8, ch: 30}}]);
+                expect(spec.session.tsDoc.getOutgoingCalls(callees[1])).toEqual([]);
+            });
+        });
+
+        describe("hierarchy panel", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function getPanel() {
+                return test.testWindow.$("#typescript-hierarchy");
+            }
+
+            function getNodeNames($nodes) {
+                return $nodes.children(".ts-hierarchy-item").find(".ts-hierarchy-name").map(function () {
+                    return test.testWindow.$(this).text();
+                }).get();
+            }
+
+            function getSectionNodes(label) {
+                var $section = getPanel().find(".ts-hierarchy-section").filter(function () {
+                    return test.testWindow.$(this).children(".ts-hierarchy-label").text() === label;
+                });
+                return $section.children(".ts-hierarchy-nodes").children(".ts-hierarchy-node");
+            }
+
+            function executeCommand(commandId) {
+                runs(function () {
+                    waitsForDone(test.testWindow.brackets.test.CommandManager.execute(commandId), commandId);
+                });
+            }
+
+            function expectKeyBinding(commandId, key) {
+                var testBrackets = test.testWindow.brackets,
+                    bindings = testBrackets.getModule("command/KeyBindingManager").getKeyBindings(commandId);
+
+                // The generic Ctrl key bindings use the Cmd key on mac
+                if (testBrackets.platform === "mac") {
+                    key = key.replace("Ctrl", "Cmd");
+                }
+                expect(bindings.map(function (binding) {
+                    return binding.key;
+                })).toEqual([key]);
+            }
+
+            it("should show the supertypes and subtypes of the class at the cursor", function () {
+                TypeScriptSpecUtils.openInTestWindow(test, animalsPath, {line: 13, ch: 7});
+                executeCommand("typescript.showTypeHierarchy");
+
+                runs(function () {
+                    expectKeyBinding("typescript.showTypeHierarchy", "Ctrl-Alt-H");
+                    expect(getPanel().is(":visible")).toBe(true);
+                    expect(getPanel().find(".ts-hierarchy-summary").text()).toBe("class Dog");
+                    expect(getNodeNames(getSectionNodes("Supertypes"))).toEqual(["Creature", "Animal"]);
+                    expect(getNodeNames(getSectionNodes("Supertypes").eq(1).find(".ts-hierarchy-node")))
+                        .toEqual(["Named"]);
+                    expect(getNodeNames(getSectionNodes("Subtypes"))).toEqual(["Puppy"]);
+                });
+            });
+
+            it("should load the callers of a caller when it is expanded", function () {
+                TypeScriptSpecUtils.openInTestWindow(test, callsPath, {line: 2, ch: 10});
+                executeCommand("typescript.showCallHierarchy");
+
+                runs(function () {
+                    expectKeyBinding("typescript.showCallHierarchy", "Ctrl-Alt-K");
+                    expect(getPanel().find(".ts-hierarchy-summary").text()).toBe("function log");
+                    expect(getNodeNames(getSectionNodes("Incoming calls"))).toEqual(["greet", "main", "callers.ts"]);
+
+                    var $greet = getSectionNodes("Incoming calls").first();
+                    expect($greet.hasClass("ts-hierarchy-collapsed")).toBe(true);
+                    expect($greet.find(".ts-hierarchy-node").length).toBe(0);
+
+                    $greet.find(".ts-hierarchy-toggle").first().click();
+                    expect($greet.hasClass("ts-hierarchy-collapsed")).toBe(false);
+                    expect(getNodeNames($greet.find(".ts-hierarchy-node"))).toEqual(["main"]);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,90 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Mustache         = brackets.getModule("thirdparty/mustache/mustache"),
+        PopupTemplate    = require("text!TypeScriptHover/htmlContent/hover-popup.html"),
+        TypeInfoTemplate = require("text!TypeScriptHover/htmlContent/type-info.html");
+
+    /**
+     * The popup, appended to the body.
+     * @type {jQueryObject}
+     * @private
+     */
+    var _$popup = null;
+
+    /**
+     * Shows the given type information in the popup, just above the given range of
+     * the given editor, or below it if there is no room above.
+     * @param {!Editor} editor
+     * @param {!{name: string, type: string, kind: string, modifiers: Array.<string>, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}} typeInfo
+     */
+    function show(editor, typeInfo) {
+        if (!_$popup) {
+            return;
+        }
+        _$popup.html(Mustache.render(TypeInfoTemplate, {
+            kind: typeInfo.kind,
+            modifiers: typeInfo.modifiers,
+            container: typeInfo.containerName ? typeInfo.containerName + "." : "",
+            name: typeInfo.name,
+            type: typeInfo.type
+        }));
+
+        var coords = editor._codeMirror.charCoords(typeInfo.range.start, "page"),
+            top = coords.top - _$popup.outerHeight() - 2;
+        if (top < 0) {
+            top = coords.bottom + 2;
+        }
+        _$popup.css({left: coords.left, top: top}).show();
+    }
+
+    /**
+     * Hides the popup.
+     */
+    function hide() {
+        if (_$popup) {
+            _$popup.hide();
+        }
+    }
+
+    /**
+     * Creates the hidden popup. Must be called once when the application is ready.
+     */
+    function init() {
+        _$popup = $(PopupTemplate).hide();
+        $("body").append(_$popup);
+    }
+
+    // Define public API
+    exports.init = init;
+    exports.show = show;
+    exports.hide = hide;
+});
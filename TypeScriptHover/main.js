@@ -0,0 +1,189 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit             = brackets.getModule("utils/AppInit"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        ExtensionUtils      = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils     = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService   = require("TypeScript/main").TypeScriptService,
+        TypeScriptScheduler = require("TypeScript/main").TypeScriptScheduler,
+        HoverPopup          = require("TypeScriptHover/HoverPopup");
+
+    /**
+     * Delay in milliseconds the mouse must rest over an identifier before its type
+     * information is shown.
+     * @type {number}
+     */
+    var HOVERDELAY = 400;
+
+    /**
+     * Editor whose identifiers are hovered.
+     * @type {Editor}
+     * @private
+     */
+    var _editor = null;
+
+    /**
+     * Timer of the pending hover, if any.
+     * @type {?number}
+     * @private
+     */
+    var _timer = null;
+
+    /**
+     * Range of the identifier whose type information is shown, if any.
+     * @type {?{start: {line: number, ch: number}, end: {line: number, ch: number}}}
+     * @private
+     */
+    var _shownRange = null;
+
+    /**
+     * Incremented at each hover change, so the type information found for a previous
+     * hovered position is ignored.
+     * @type {number}
+     * @private
+     */
+    var _hoverVersion = 0;
+
+    /**
+     * Get a typescript-hover-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-hover";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Returns whether the given position is inside the given range, bounds included.
+     * @param {!{line: number, ch: number}} pos
+     * @param {!{start: {line: number, ch: number}, end: {line: number, ch: number}}} range
+     * @returns {boolean}
+     * @private
+     */
+    function _isInRange(pos, range) {
+        return (pos.line > range.start.line || (pos.line === range.start.line && pos.ch >= range.start.ch)) &&
+            (pos.line < range.end.line || (pos.line === range.end.line && pos.ch <= range.end.ch));
+    }
+
+    /**
+     * Hides the popup and cancels the pending hover.
+     * @private
+     */
+    function _hidePopup() {
+        if (_timer) {
+            window.clearTimeout(_timer);
+            _timer = null;
+        }
+        _hoverVersion++;
+        _shownRange = null;
+        HoverPopup.hide();
+    }
+
+    /**
+     * Shows the type information of the identifier at the given position of the
+     * given editor once the edits of the document have settled.
+     * @param {!Editor} editor
+     * @param {!{line: number, ch: number}} pos
+     * @private
+     */
+    function _showTypeInfo(editor, pos) {
+        var hoverVersion = _hoverVersion;
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            TypeScriptScheduler.request(session.tsDoc, function (tsDoc) {
+                return tsDoc.getTypeInfoAtPosition(pos);
+            }).done(function (typeInfo) {
+                // Ignore the type information if the mouse has moved meanwhile
+                if (typeInfo && hoverVersion === _hoverVersion && editor === _editor &&
+                        _isInRange(pos, typeInfo.range)) {
+                    _shownRange = typeInfo.range;
+                    HoverPopup.show(editor, typeInfo);
+                }
+            });
+        });
+    }
+
+    /**
+     * When the mouse moves out of the shown identifier, hides the popup and shows
+     * the type information of the hovered identifier once the mouse rests.
+     * @param event
+     * @private
+     */
+    function _handleMouseMove(event) {
+        var editor = _editor,
+            pos = editor._codeMirror.coordsChar({left: event.pageX, top: event.pageY});
+
+        if (_shownRange && _isInRange(pos, _shownRange)) {
+            return;
+        }
+        _hidePopup();
+        _timer = window.setTimeout(function () {
+            _timer = null;
+            _showTypeInfo(editor, pos);
+        }, HOVERDELAY);
+    }
+
+    /**
+     * When the active editor is changed, stop following the mouse over the previous
+     * one and follow it over the new one if it's a typescript editor.
+     * @param event
+     * @param {?Editor} current
+     * @private
+     */
+    function _handleActiveEditorChange(event, current) {
+        _hidePopup();
+        if (_editor) {
+            $(_editor._codeMirror.getWrapperElement()).off(eventName("mousemove")).off(eventName("mouseleave"));
+            $(_editor).off(eventName("cursorActivity")).off(eventName("scroll"));
+            _editor = null;
+        }
+        if (current && current.getModeForSelection() === TypeScriptUtils.MODE_NAME) {
+            _editor = current;
+            $(_editor._codeMirror.getWrapperElement())
+                .on(eventName("mousemove"), _handleMouseMove)
+                .on(eventName("mouseleave"), _hidePopup);
+            // The popup would hide the edited text or stay behind when scrolling
+            $(_editor)
+                .on(eventName("cursorActivity"), _hidePopup)
+                .on(eventName("scroll"), _hidePopup);
+        }
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    AppInit.appReady(function () {
+        HoverPopup.init();
+
+        // Listen for activeEditorChange event
+        $(EditorManager).on(eventName("activeEditorChange"), _handleActiveEditorChange);
+        _handleActiveEditorChange(null, EditorManager.getCurrentFullEditor());
+    });
+});
@@ -0,0 +1,22 @@
+module Shapes {
+    export interface Shape {
+        area(): number;
+    }
+
+    export class Circle implements Shape {
+        static unit = new Circle(1);
+        constructor (public radius: number) {
+        }
+        public area() {
+            return Math.PI * this.radius * this.radius;
+        }
+    }
+}
+
+var circle = new Shapes.Circle(2);
+var areas = [circle.area()];
+function describe(shape: Shapes.Shape, label?: string) {
+    var text = label + shape.area();
+    return text;
+}
+// circle in a comment
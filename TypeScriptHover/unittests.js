@@ -0,0 +1,127 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath   = extensionPath + "/unittest-files",
+        hoverPath     = extensionPath + "/unittest-files/hover.ts";
+
+    describe("TypeScript Hover", function () {
+
+        describe("getTypeInfoAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(hoverPath);
+
+            it("should provide the type, kind, modifiers and container of a member", function () {
+                expect(spec.session.tsDoc.getTypeInfoAtPosition({line: 6, ch: 16})).toEqual({
+                    name: "unit",
+                    type: "Circle",
+                    kind: "property",
+                    modifiers: ["public", "static"],
+                    containerName: "Shapes.Circle",
+                    range: {start: {line: 6, ch: 15}, end: {line: 6, ch: 19}}
+                });
+            });
+
+            it("should provide the signature of a called method", function () {
+                var typeInfo = spec.session.tsDoc.getTypeInfoAtPosition({line: 16, ch: 22});
+                expect(typeInfo.name).toBe("area");
+                expect(typeInfo.type).toBe("() => number");
+                expect(typeInfo.kind).toBe("method");
+                expect(typeInfo.range).toEqual({start: {line: 16, ch: 20}, end: {line: 16, ch: 24}});
+            });
+
+            it("should provide the inferred type of a variable", function () {
+                var typeInfo = spec.session.tsDoc.getTypeInfoAtPosition({line: 15, ch: 5});
+                expect(typeInfo.type).toBe("Shapes.Circle");
+                expect(typeInfo.kind).toBe("variable");
+                expect(typeInfo.containerName).toBe("");
+            });
+
+            it("should give the function as container of a parameter", function () {
+                var typeInfo = spec.session.tsDoc.getTypeInfoAtPosition({line: 18, ch: 26});
+                expect(typeInfo.name).toBe("shape");
+                expect(typeInfo.type).toBe("Shapes.Shape");
+                expect(typeInfo.containerName).toBe("describe");
+            });
+
+            it("should not provide type information for keywords, whitespace and comments", function () {
+                expect(spec.session.tsDoc.getTypeInfoAtPosition({line: 19, ch: 4})).toBe(null);
+                expect(spec.session.tsDoc.getTypeInfoAtPosition({line: 11, ch: 0})).toBe(null);
+                expect(spec.session.tsDoc.getTypeInfoAtPosition({line: 21, ch: 5})).toBe(null);
+            });
+        });
+
+        describe("hover popup", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function getPopup() {
+                return test.testWindow.$("#typescript-hover");
+            }
+
+            function triggerMouseEvent(type, pos) {
+                var codeMirror = TypeScriptSpecUtils.getTestEditor(test)._codeMirror,
+                    coords = codeMirror.charCoords(pos, "page");
+
+                test.testWindow.$(codeMirror.getWrapperElement()).trigger(test.testWindow.$.Event(type, {
+                    pageX: coords.left + 1,
+                    pageY: (coords.top + coords.bottom) / 2
+                }));
+            }
+
+            beforeEach(function () {
+                TypeScriptSpecUtils.openInTestWindow(test, hoverPath, {line: 0, ch: 0});
+
+                runs(function () {
+                    triggerMouseEvent("mousemove", {line: 15, ch: 5});
+                });
+
+                waitsFor(function () {
+                    return getPopup().is(":visible");
+                }, "Hover popup not shown", 2000);
+            });
+
+            it("should show the type information of the identifier resting under the mouse", function () {
+                expect(getPopup().find(".ts-hover-kind").text()).toBe("(variable)");
+                expect(getPopup().find(".ts-hover-name").text()).toBe("circle");
+                expect(getPopup().find(".ts-hover-type").text()).toBe("Shapes.Circle");
+            });
+
+            it("should hide the popup when the mouse leaves the editor", function () {
+                triggerMouseEvent("mouseleave", {line: 15, ch: 5});
+                expect(getPopup().is(":visible")).toBe(false);
+            });
+        });
+    });
+});
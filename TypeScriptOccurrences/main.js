@@ -0,0 +1,146 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var EditorManager       = brackets.getModule("editor/EditorManager"),
+        ExtensionUtils      = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils     = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService   = require("TypeScript/main").TypeScriptService,
+        TypeScriptScheduler = require("TypeScript/main").TypeScriptScheduler;
+
+    /**
+     * Editor whose occurrences are highlighted.
+     * @type {Editor}
+     * @private
+     */
+    var _editor = null;
+
+    /**
+     * Text markers of the highlighted occurrences.
+     * @type {Array.<TextMarker>}
+     * @private
+     */
+    var _markers = [];
+
+    /**
+     * Incremented at each cursor move, so the occurrences found for a previous
+     * cursor position are ignored.
+     * @type {number}
+     * @private
+     */
+    var _cursorVersion = 0;
+
+    /**
+     * Get a typescript-occurrences-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-occurrences";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Removes the highlighting of all the occurrences.
+     * @private
+     */
+    function _clearMarkers() {
+        _markers.forEach(function (marker) {
+            marker.clear();
+        });
+        _markers = [];
+    }
+
+    /**
+     * Highlights the given occurrences in the given editor.
+     * @param {!Editor} editor
+     * @param {!Array.<{range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, isWriteAccess: boolean}>} occurrences
+     * @private
+     */
+    function _markOccurrences(editor, occurrences) {
+        _clearMarkers();
+        occurrences.forEach(function (occurrence) {
+            _markers.push(editor._codeMirror.markText(occurrence.range.start, occurrence.range.end, {
+                className: occurrence.isWriteAccess ? "ts-occurrence-write" : "ts-occurrence-read"
+            }));
+        });
+    }
+
+    /**
+     * When the cursor moves, highlights the occurrences of the symbol under it once
+     * the edits of the document have settled. Nothing is highlighted while some
+     * text is selected.
+     * @private
+     */
+    function _handleCursorActivity() {
+        var editor = _editor,
+            cursorVersion = ++_cursorVersion;
+
+        _clearMarkers();
+        if (editor.hasSelection()) {
+            return;
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            TypeScriptScheduler.request(session.tsDoc, function (tsDoc) {
+                return tsDoc.getOccurrencesAtPosition(editor.getCursorPos());
+            }).done(function (occurrences) {
+                // Ignore the occurrences if the cursor has moved meanwhile
+                if (cursorVersion === _cursorVersion && editor === _editor) {
+                    _markOccurrences(editor, occurrences);
+                }
+            });
+        });
+    }
+
+    /**
+     * When the active editor is changed, stop following the cursor of the previous
+     * one and follow the cursor of the new one if it's a typescript editor.
+     * @param event
+     * @param {?Editor} current
+     * @private
+     */
+    function _handleActiveEditorChange(event, current) {
+        _clearMarkers();
+        if (_editor) {
+            $(_editor).off(eventName("cursorActivity"));
+            _editor = null;
+        }
+        if (current && current.getModeForSelection() === TypeScriptUtils.MODE_NAME) {
+            _editor = current;
+            $(_editor).on(eventName("cursorActivity"), _handleCursorActivity);
+            _handleCursorActivity();
+        }
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    // Listen for activeEditorChange event
+    $(EditorManager).on(eventName("activeEditorChange"), _handleActiveEditorChange);
+});
@@ -0,0 +1,8 @@
+///<reference path='other.ts'/>
+
+var total = 0;
+for (var i = 0; i < 3; i++) {
+    total += i;
+}
+var result = total;
+var other = otherTotal;
@@ -0,0 +1 @@
+var otherTotal = 0;
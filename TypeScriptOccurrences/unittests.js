@@ -0,0 +1,108 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath   = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath     = extensionPath + "/unittest-files",
+        occurrencesPath = extensionPath + "/unittest-files/occurrences.ts";
+
+    describe("TypeScript Occurrences", function () {
+
+        describe("getOccurrencesAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(occurrencesPath);
+
+            it("should find the occurrences with their access", function () {
+                var occurrences = spec.session.tsDoc.getOccurrencesAtPosition({line: 2, ch: 4});
+                expect(occurrences).toEqual([{
+                    range: {start: {line: 2, ch: 4}, end: {line: 2, ch: 9}},
+                    isWriteAccess: true
+                }, {
+                    range: {start: {line: 4, ch: 4}, end: {line: 4, ch: 9}},
+                    isWriteAccess: true
+                }, {
+                    range: {start: {line: 6, ch: 13}, end: {line: 6, ch: 18}},
+                    isWriteAccess: false
+                }]);
+            });
+
+            it("should only find the occurrences in the document", function () {
+                var occurrences = spec.session.tsDoc.getOccurrencesAtPosition({line: 7, ch: 12});
+                expect(occurrences.length).toBe(1);
+                expect(occurrences[0].range.start).toEqual({line: 7, ch: 12});
+                expect(occurrences[0].isWriteAccess).toBe(false);
+            });
+
+            it("should not find occurrences outside of a symbol", function () {
+                expect(spec.session.tsDoc.getOccurrencesAtPosition({line: 1, ch: 0}).length).toBe(0);
+            });
+        });
+
+        describe("highlighting", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function getMarks(className) {
+                var editor = TypeScriptSpecUtils.getTestEditor(test);
+                return test.testWindow.$(editor.getRootElement()).find("." + className);
+            }
+
+            beforeEach(function () {
+                TypeScriptSpecUtils.openInTestWindow(test, occurrencesPath, {line: 2, ch: 4});
+            });
+
+            it("should highlight the occurrences of the symbol under the cursor", function () {
+                waitsFor(function () {
+                    return getMarks("ts-occurrence-write").length > 0;
+                }, "Occurrences not highlighted", 2000);
+
+                runs(function () {
+                    expect(getMarks("ts-occurrence-write").length).toBe(2);
+                    expect(getMarks("ts-occurrence-read").length).toBe(1);
+                });
+            });
+
+            it("should remove the highlighting when the cursor leaves the symbol", function () {
+                waitsFor(function () {
+                    return getMarks("ts-occurrence-write").length > 0;
+                }, "Occurrences not highlighted", 2000);
+
+                runs(function () {
+                    TypeScriptSpecUtils.getTestEditor(test).setCursorPos(1, 0);
+                    expect(getMarks("ts-occurrence-write").length).toBe(0);
+                    expect(getMarks("ts-occurrence-read").length).toBe(0);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,100 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    /**
+     * Returns whether the first given position is before the second one.
+     * @param {!{line: number, ch: number}} a
+     * @param {!{line: number, ch: number}} b
+     * @returns {boolean}
+     * @private
+     */
+    function _isBefore(a, b) {
+        return a.line < b.line || (a.line === b.line && a.ch < b.ch);
+    }
+
+    /**
+     * Builds the outline tree of the given lexical structure: each declaration is a
+     * child of the declaration named as its container, the others are roots. The
+     * full name of a node is the container name followed by its name.
+     * @param {!Array.<{name: string, kind: string, modifiers: Array.<string>, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>} items
+     * @returns {Array.<{name: string, fullName: string, kind: string, modifiers: Array.<string>, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}, children: Array}>}
+     */
+    function buildTree(items) {
+        var roots = [],
+            nodesByName = {};
+
+        items.forEach(function (item) {
+            var node = {
+                    name: item.name,
+                    fullName: item.containerName ? item.containerName + "." + item.name : item.name,
+                    kind: item.kind,
+                    modifiers: item.modifiers,
+                    range: item.range,
+                    declarationRange: item.declarationRange,
+                    children: []
+                },
+                parent = item.containerName && nodesByName[item.containerName];
+
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+            // Merged declarations share their full name, the first one gets the members
+            if (!nodesByName.hasOwnProperty(node.fullName)) {
+                nodesByName[node.fullName] = node;
+            }
+        });
+        return roots;
+    }
+
+    /**
+     * Returns the innermost node of the given trees whose declaration contains the
+     * given position, or null if there is none.
+     * @param {!Array.<{declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}, children: Array}>} nodes
+     * @param {!{line: number, ch: number}} pos
+     * @returns {?{declarationRange: {start: {line: number, ch: number}, end: {line: number, ch: number}}, children: Array}}
+     */
+    function findNodeAtPosition(nodes, pos) {
+        var i, node;
+        for (i = 0; i < nodes.length; i++) {
+            node = nodes[i];
+            if (!_isBefore(pos, node.declarationRange.start) && !_isBefore(node.declarationRange.end, pos)) {
+                return findNodeAtPosition(node.children, pos) || node;
+            }
+        }
+        return null;
+    }
+
+    // Define public API
+    exports.buildTree          = buildTree;
+    exports.findNodeAtPosition = findNodeAtPosition;
+});
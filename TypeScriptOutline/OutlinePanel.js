@@ -0,0 +1,248 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var Mustache             = brackets.getModule("thirdparty/mustache/mustache"),
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        PanelTemplate        = require("text!TypeScriptOutline/htmlContent/outline-panel.html"),
+        TreeTemplate         = require("text!TypeScriptOutline/htmlContent/outline-tree.html"),
+        NodeTemplate         = require("text!TypeScriptOutline/htmlContent/outline-node.html");
+
+    /*
+     * OutlinePanel dispatches this event:
+     *
+     * visibilityChange -- When the panel is shown or hidden. Whether it is visible
+     *                     is passed as parameter.
+     */
+
+    /**
+     * The outline panel, in the sidebar.
+     * @type {jQueryObject}
+     * @private
+     */
+    var _$panel = null;
+
+    /**
+     * Script name of the outlined file.
+     * @type {?string}
+     * @private
+     */
+    var _scriptName = null;
+
+    /**
+     * Root nodes of the outline tree.
+     * @type {Array.<{name: string, fullName: string, kind: string, modifiers: Array.<string>, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, children: Array}>}
+     * @private
+     */
+    var _roots = [];
+
+    /**
+     * All the nodes of the outline tree, indexed as rendered.
+     * @type {Array.<{name: string, fullName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, children: Array}>}
+     * @private
+     */
+    var _nodes = [];
+
+    /**
+     * Full names of the collapsed nodes, kept while the tree is refreshed.
+     * @type {Object.<string, boolean>}
+     * @private
+     */
+    var _collapsed = {};
+
+    /**
+     * Node selected in the tree.
+     * @type {?{fullName: string}}
+     * @private
+     */
+    var _selectedNode = null;
+
+    /**
+     * Returns the view of the given nodes for the templates, indexing them in _nodes.
+     * @param {!Array} nodes
+     * @returns {Array.<{index: number, name: string, kind: string, modifiers: string, collapsed: boolean, hasChildren: boolean, children: Array}>}
+     * @private
+     */
+    function _getNodesView(nodes) {
+        return nodes.map(function (node) {
+            _nodes.push(node);
+            return {
+                index: _nodes.length - 1,
+                name: node.name,
+                kind: node.kind,
+                modifiers: node.modifiers.join(" "),
+                collapsed: _collapsed.hasOwnProperty(node.fullName),
+                hasChildren: node.children.length > 0,
+                children: _getNodesView(node.children)
+            };
+        });
+    }
+
+    /**
+     * Marks the selected node in the tree. When it is hidden in a collapsed node, the
+     * outermost collapsed node is marked instead.
+     * @private
+     */
+    function _renderSelection() {
+        _$panel.find(".ts-outline-selected").removeClass("ts-outline-selected");
+
+        var index = _nodes.indexOf(_selectedNode);
+        if (index === -1) {
+            return;
+        }
+        var $node = _$panel.find(".ts-outline-node[data-node-index='" + index + "']"),
+            $collapsed = $node.parents(".ts-outline-collapsed").last();
+
+        if ($collapsed.length) {
+            $node = $collapsed;
+        }
+        $node.children(".ts-outline-item").addClass("ts-outline-selected");
+    }
+
+    /**
+     * Renders the outline tree in the panel.
+     * @private
+     */
+    function _render() {
+        _nodes = [];
+        _$panel.find(".ts-outline-tree")
+            .empty()
+            .append(Mustache.render(TreeTemplate, {nodes: _getNodesView(_roots)}, {node: NodeTemplate}));
+        _renderSelection();
+    }
+
+    /**
+     * Collapses or expands the node whose toggle is clicked.
+     * @param event
+     * @private
+     */
+    function _handleToggleClick(event) {
+        var $node = $(event.currentTarget).closest(".ts-outline-node"),
+            node = _nodes[$node.data("node-index")];
+
+        event.stopPropagation();
+        if (!node || !node.children.length) {
+            return;
+        }
+        if (_collapsed.hasOwnProperty(node.fullName)) {
+            delete _collapsed[node.fullName];
+        } else {
+            _collapsed[node.fullName] = true;
+        }
+        $node.toggleClass("ts-outline-collapsed");
+        _renderSelection();
+    }
+
+    /**
+     * Selects the name of the clicked declaration in the editor.
+     * @param event
+     * @private
+     */
+    function _handleItemClick(event) {
+        var node = _nodes[$(event.currentTarget).closest(".ts-outline-node").data("node-index")];
+        if (node && _scriptName) {
+            TypeScriptNavigation.goTo(_scriptName, node.range.start, node.range.end);
+        }
+    }
+
+    /**
+     * Replaces the outlined file and its tree.
+     * @param {?string} scriptName
+     * @param {!Array} roots Root nodes built by Outline.buildTree
+     */
+    function setTree(scriptName, roots) {
+        if (scriptName !== _scriptName) {
+            _collapsed = {};
+            _selectedNode = null;
+        }
+        _scriptName = scriptName;
+        _roots = roots;
+        if (_$panel) {
+            _render();
+        }
+    }
+
+    /**
+     * Changes the selected node of the tree.
+     * @param {?{fullName: string}} node
+     */
+    function setSelectedNode(node) {
+        if (node === _selectedNode) {
+            return;
+        }
+        _selectedNode = node;
+        if (_$panel) {
+            _renderSelection();
+        }
+    }
+
+    /**
+     * Returns whether the panel is visible.
+     * @returns {boolean}
+     */
+    function isVisible() {
+        return _$panel !== null && _$panel.is(":visible");
+    }
+
+    /**
+     * Shows or hides the panel.
+     * @param {!boolean} visible
+     */
+    function setVisible(visible) {
+        if (!_$panel || visible === isVisible()) {
+            return;
+        }
+        _$panel.toggle(visible);
+        $(exports).triggerHandler("visibilityChange", [visible]);
+    }
+
+    /**
+     * Creates the hidden panel in the sidebar, above the project files. Must be
+     * called once when the application is ready.
+     */
+    function init() {
+        _$panel = $(PanelTemplate).hide();
+        _$panel
+            .on("click", ".ts-outline-toggle", _handleToggleClick)
+            .on("click", ".ts-outline-item", _handleItemClick)
+            .on("click", ".close", function () {
+                setVisible(false);
+            });
+        $("#project-files-header").before(_$panel);
+        _render();
+    }
+
+    // Define public API
+    exports.init            = init;
+    exports.setTree         = setTree;
+    exports.setSelectedNode = setSelectedNode;
+    exports.isVisible       = isVisible;
+    exports.setVisible      = setVisible;
+});
@@ -0,0 +1,184 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit             = brackets.getModule("utils/AppInit"),
+        CommandManager      = brackets.getModule("command/CommandManager"),
+        Menus               = brackets.getModule("command/Menus"),
+        EditorManager       = brackets.getModule("editor/EditorManager"),
+        ExtensionUtils      = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils     = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService   = require("TypeScript/main").TypeScriptService,
+        TypeScriptScheduler = require("TypeScript/main").TypeScriptScheduler,
+        Outline             = require("TypeScriptOutline/Outline"),
+        OutlinePanel        = require("TypeScriptOutline/OutlinePanel");
+
+    var TOGGLE_OUTLINE_COMMAND_ID = "typescript.toggleOutline";
+
+    /**
+     * TypeScriptDocument of the current session, which is outlined.
+     * @type {TypeScriptDocument}
+     * @private
+     */
+    var _currentTsDoc = null;
+
+    /**
+     * Editor whose cursor is followed.
+     * @type {Editor}
+     * @private
+     */
+    var _editor = null;
+
+    /**
+     * Root nodes of the current outline tree.
+     * @type {Array}
+     * @private
+     */
+    var _roots = [];
+
+    /**
+     * Get a typescript-outline-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-outline";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Returns the outline tree of the given TypeScriptDocument main script.
+     * @param {!TypeScriptDocument} tsDoc
+     * @returns {Array} Root nodes built by Outline.buildTree
+     */
+    function getOutline(tsDoc) {
+        return Outline.buildTree(tsDoc.getLexicalStructure());
+    }
+
+    /**
+     * Selects in the outline the declaration containing the cursor of the followed
+     * editor.
+     * @private
+     */
+    function _syncSelection() {
+        var node = null;
+        if (_editor && _currentTsDoc && _editor.document === _currentTsDoc.doc) {
+            node = Outline.findNodeAtPosition(_roots, _editor.getCursorPos());
+        }
+        OutlinePanel.setSelectedNode(node);
+    }
+
+    /**
+     * Rebuilds the outline of the current document, if the panel is visible.
+     * @private
+     */
+    function _refresh() {
+        if (!OutlinePanel.isVisible()) {
+            return;
+        }
+        _roots = _currentTsDoc ? getOutline(_currentTsDoc) : [];
+        OutlinePanel.setTree(_currentTsDoc ? _currentTsDoc.scriptName : null, _roots);
+        _syncSelection();
+    }
+
+    /**
+     * When the current session has changed, outline its document.
+     * @param event
+     * @param {?TypeScriptSession} session
+     * @private
+     */
+    function _handleCurrentSessionChange(event, session) {
+        _currentTsDoc = session ? session.tsDoc : null;
+        _refresh();
+    }
+
+    /**
+     * When the edits of the current TypeScriptDocument have settled, outline it again.
+     * @param event
+     * @param {!TypeScriptDocument} tsDoc
+     * @private
+     */
+    function _handleAnalysisReady(event, tsDoc) {
+        if (tsDoc === _currentTsDoc) {
+            _refresh();
+        }
+    }
+
+    /**
+     * When the active editor is changed, follow the cursor of the new one if it's a
+     * typescript editor.
+     * @param event
+     * @param {?Editor} current
+     * @private
+     */
+    function _handleActiveEditorChange(event, current) {
+        if (_editor) {
+            $(_editor).off(eventName("cursorActivity"));
+            _editor = null;
+        }
+        if (current && current.getModeForSelection() === TypeScriptUtils.MODE_NAME) {
+            _editor = current;
+            $(_editor).on(eventName("cursorActivity"), _syncSelection);
+        }
+        _syncSelection();
+    }
+
+    /**
+     * Shows or hides the outline panel.
+     * @private
+     */
+    function _handleToggleOutline() {
+        OutlinePanel.setVisible(!OutlinePanel.isVisible());
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    // Listen for currentSessionChange event
+    $(TypeScriptService).on(eventName("currentSessionChange"), _handleCurrentSessionChange);
+
+    // Listen for analysisReady event
+    $(TypeScriptScheduler).on(eventName("analysisReady"), _handleAnalysisReady);
+
+    // Listen for activeEditorChange event
+    $(EditorManager).on(eventName("activeEditorChange"), _handleActiveEditorChange);
+
+    AppInit.appReady(function () {
+        var command = CommandManager.register("TypeScript Outline", TOGGLE_OUTLINE_COMMAND_ID,
+                                              _handleToggleOutline);
+        Menus.getMenu(Menus.AppMenuBar.VIEW_MENU).addMenuItem(TOGGLE_OUTLINE_COMMAND_ID);
+
+        OutlinePanel.init();
+        $(OutlinePanel).on(eventName("visibilityChange"), function (event, visible) {
+            command.setChecked(visible);
+            _refresh();
+        });
+    });
+
+    // Define public API
+    exports.getOutline = getOutline;
+});
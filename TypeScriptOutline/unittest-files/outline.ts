@@ -0,0 +1,22 @@
+module Shapes {
+    export interface Shape {
+        area(): number;
+    }
+
+    export class Rectangle implements Shape {
+        constructor(public width: number, public height: number) {
+        }
+
+        area() {
+            return this.width * this.height;
+        }
+    }
+}
+
+class Canvas {
+    private shapes: Shapes.Shape[] = [];
+
+    add(shape: Shapes.Shape) {
+        this.shapes.push(shape);
+    }
+}
@@ -0,0 +1,155 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils"),
+        TypeScriptOutline   = require("TypeScriptOutline/main"),
+        Outline             = require("TypeScriptOutline/Outline");
+
+    var extensionPath = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath   = extensionPath + "/unittest-files",
+        outlinePath   = extensionPath + "/unittest-files/outline.ts";
+
+    describe("TypeScript Outline", function () {
+
+        describe("getOutline", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(outlinePath);
+
+            it("should nest the declarations in their containers", function () {
+                var roots = TypeScriptOutline.getOutline(spec.session.tsDoc);
+                expect(roots.map(function (node) {
+                    return node.fullName;
+                })).toEqual(["Shapes", "Canvas"]);
+                expect(roots[0].children.map(function (node) {
+                    return node.fullName;
+                })).toEqual(["Shapes.Shape", "Shapes.Rectangle"]);
+                expect(roots[0].children[1].children.map(function (node) {
+                    return node.name;
+                })).toEqual(["constructor", "width", "height", "area"]);
+            });
+
+            it("should provide the kind, the modifiers and the name range of the declarations", function () {
+                var canvas = TypeScriptOutline.getOutline(spec.session.tsDoc)[1];
+                expect(canvas.kind).toBe("class");
+                expect(canvas.modifiers).toEqual([]);
+                expect(canvas.range).toEqual({
+                    start: {line: 15, ch: 6},
+                    end: {line: 15, ch: 12}
+                });
+                expect(canvas.children[0].kind).toBe("property");
+                expect(canvas.children[0].modifiers).toEqual(["private"]);
+            });
+        });
+
+        describe("findNodeAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(outlinePath),
+                roots;
+
+            beforeEach(function () {
+                roots = TypeScriptOutline.getOutline(spec.session.tsDoc);
+            });
+
+            it("should find the innermost declaration containing the position", function () {
+                expect(Outline.findNodeAtPosition(roots, {line: 10, ch: 12}).fullName).toBe("Shapes.Rectangle.area");
+                expect(Outline.findNodeAtPosition(roots, {line: 2, ch: 0}).fullName).toBe("Shapes.Shape");
+                expect(Outline.findNodeAtPosition(roots, {line: 4, ch: 0}).fullName).toBe("Shapes");
+            });
+
+            it("should not find a declaration outside of all of them", function () {
+                expect(Outline.findNodeAtPosition(roots, {line: 14, ch: 0})).toBeNull();
+            });
+        });
+
+        describe("outline panel", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function getRootNames() {
+                return test.testWindow.$("#typescript-outline .ts-outline-tree > .ts-outline-nodes > .ts-outline-node")
+                    .children(".ts-outline-item")
+                    .find(".ts-outline-name")
+                    .map(function () {
+                        return test.testWindow.$(this).text();
+                    }).get();
+            }
+
+            beforeEach(function () {
+                TypeScriptSpecUtils.openInTestWindow(test, outlinePath, {line: 10, ch: 12});
+
+                runs(function () {
+                    test.testWindow.brackets.test.CommandManager.execute("typescript.toggleOutline");
+                });
+            });
+
+            it("should outline the current file and select the declaration at the cursor", function () {
+                expect(test.testWindow.$("#typescript-outline").is(":visible")).toBe(true);
+                expect(getRootNames()).toEqual(["Shapes", "Canvas"]);
+                expect(test.testWindow.$("#typescript-outline .ts-outline-selected .ts-outline-name").text())
+                    .toBe("area");
+            });
+
+            it("should select a declaration when it is clicked", function () {
+                runs(function () {
+                    test.testWindow.$("#typescript-outline .ts-outline-item").filter(function () {
+                        return test.testWindow.$(this).find(".ts-outline-name").text() === "Canvas";
+                    }).click();
+                });
+
+                waitsFor(function () {
+                    return TypeScriptSpecUtils.getTestEditor(test).getSelection().start.line === 15;
+                }, "Declaration not selected", 1000);
+
+                runs(function () {
+                    var selection = TypeScriptSpecUtils.getTestEditor(test).getSelection();
+                    expect(selection.start).toEqual({line: 15, ch: 6});
+                    expect(selection.end).toEqual({line: 15, ch: 12});
+                });
+            });
+
+            it("should outline the file again once its edits are analyzed", function () {
+                runs(function () {
+                    TypeScriptSpecUtils.getTestEditor(test).document.replaceRange("\n\nclass Drawing {\n}",
+                                                                                  {line: 21, ch: 1});
+                });
+
+                waitsFor(function () {
+                    return getRootNames().length === 3;
+                }, "Outline not refreshed", 2000);
+
+                runs(function () {
+                    expect(getRootNames()).toEqual(["Shapes", "Canvas", "Drawing"]);
+                });
+            });
+        });
+    });
+});
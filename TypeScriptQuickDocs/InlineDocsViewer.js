@@ -0,0 +1,109 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $, window */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var InlineWidget         = brackets.getModule("editor/InlineWidget").InlineWidget,
+        ProjectManager       = brackets.getModule("project/ProjectManager"),
+        Mustache             = brackets.getModule("thirdparty/mustache/mustache"),
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        DocsTemplate         = require("text!TypeScriptQuickDocs/htmlContent/inline-docs.html");
+
+    /**
+     * @constructor
+     * Inline widget rendering the documentation of a symbol: its signature, the file
+     * declaring it, its description and its @param and @returns sections. Clicking
+     * the file opens the declaration in the main editor.
+     * @param {!{name: string, type: string, kind: string, modifiers: Array.<string>, containerName: string, scriptName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, description: string, params: Array.<{name: string, description: string}>, returns: ?string}} docs
+     * @extends {InlineWidget}
+     */
+    function InlineDocsViewer(docs) {
+        InlineWidget.call(this);
+
+        this.docs = docs;
+        this.$htmlContent.append(Mustache.render(DocsTemplate, {
+            kind: docs.kind,
+            modifiers: docs.modifiers,
+            container: docs.containerName ? docs.containerName + "." : "",
+            name: docs.name,
+            type: docs.type,
+            scriptName: docs.scriptName,
+            fileName: ProjectManager.makeProjectRelativeIfPossible(docs.scriptName),
+            paragraphs: docs.description ? docs.description.split("\n\n") : [],
+            hasParams: docs.params.length > 0,
+            params: docs.params,
+            returns: docs.returns,
+            hasDocs: !!(docs.description || docs.params.length > 0 || docs.returns)
+        }));
+        this.$htmlContent.on("click", ".ts-quick-docs-file", this._handleFileClick.bind(this));
+
+        this._sizeEditorToContent = this._sizeEditorToContent.bind(this);
+    }
+    InlineDocsViewer.prototype = Object.create(InlineWidget.prototype);
+    InlineDocsViewer.prototype.constructor = InlineDocsViewer;
+    InlineDocsViewer.prototype.parentClass = InlineWidget.prototype;
+
+    /**
+     * Documentation rendered.
+     * @type {Object}
+     */
+    InlineDocsViewer.prototype.docs = null;
+
+    /**
+     * Opens the declaration of the documented symbol in the main editor.
+     * @param event
+     * @private
+     */
+    InlineDocsViewer.prototype._handleFileClick = function (event) {
+        event.preventDefault();
+        TypeScriptNavigation.goTo(this.docs.scriptName, this.docs.range.start, this.docs.range.end);
+    };
+
+    /**
+     * Sets the height of the widget in the host editor to the one of its content.
+     * @private
+     */
+    InlineDocsViewer.prototype._sizeEditorToContent = function () {
+        this.hostEditor.setInlineWidgetHeight(this, this.$htmlContent.outerHeight(), true);
+    };
+
+    InlineDocsViewer.prototype.onAdded = function () {
+        InlineDocsViewer.prototype.parentClass.onAdded.apply(this, arguments);
+        this._sizeEditorToContent();
+        $(window).on("resize", this._sizeEditorToContent);
+    };
+
+    InlineDocsViewer.prototype.onClosed = function () {
+        InlineDocsViewer.prototype.parentClass.onClosed.apply(this, arguments);
+        $(window).off("resize", this._sizeEditorToContent);
+    };
+
+    // Define public API
+    exports.InlineDocsViewer = InlineDocsViewer;
+});
@@ -0,0 +1,79 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var AppInit           = brackets.getModule("utils/AppInit"),
+        EditorManager     = brackets.getModule("editor/EditorManager"),
+        ExtensionUtils    = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptUtils   = require("TypeScript/main").TypeScriptUtils,
+        TypeScriptService = require("TypeScript/main").TypeScriptService,
+        InlineDocsViewer  = require("TypeScriptQuickDocs/InlineDocsViewer").InlineDocsViewer;
+
+    /**
+     * This function is registered with EditorManager as an inline docs provider. It
+     * creates an inline widget rendering the documentation of the TypeScript symbol
+     * at the given position, which can be declared in a referenced file.
+     *
+     * @param {!Editor} hostEditor
+     * @param {!{line:Number, ch:Number}} pos
+     * @return {$.Promise} a promise that will be resolved with an InlineWidget
+     *      or null if we're not going to provide anything.
+     */
+    function typeScriptDocsProvider(hostEditor, pos) {
+        // Only provide docs when cursor is in TypeScript content
+        if (hostEditor.getModeForSelection() !== TypeScriptUtils.MODE_NAME) {
+            return null;
+        }
+
+        var result = new $.Deferred();
+        TypeScriptService.getSession(hostEditor.document).done(function (session) {
+            var docs = session.tsDoc.getDocumentationAtPosition(pos);
+            // Cancel if there is no documented symbol at the position
+            if (!docs) {
+                result.reject();
+                return;
+            }
+
+            var inlineViewer = new InlineDocsViewer(docs);
+            inlineViewer.load(hostEditor);
+            result.resolve(inlineViewer);
+        });
+        return result.promise();
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    AppInit.appReady(function () {
+        EditorManager.registerInlineDocsProvider(typeScriptDocsProvider);
+    });
+
+    // Define public API
+    exports.typeScriptDocsProvider = typeScriptDocsProvider;
+});
@@ -0,0 +1,20 @@
+///<reference path='shapes.ts'/>
+
+/**
+ * Scales the given circle.
+ *
+ * The circle itself is left unchanged.
+ * @param circle The circle to scale
+ * @param {number} factor The scale factor,
+ *     greater than zero
+ * @returns {Shapes.Circle} A new circle
+ */
+function scale(circle: Shapes.Circle, factor: number) {
+    return new Shapes.Circle(circle.radius * factor);
+}
+
+/** The unit circle. */
+var unit = new Shapes.Circle(1);
+
+var scaled = scale(unit, 2);
+var area = scaled.area() + scaled.diameter();
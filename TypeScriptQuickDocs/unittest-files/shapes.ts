@@ -0,0 +1,39 @@
+/**
+ * Geometric shapes.
+ */
+module Shapes {
+    /**
+     * A shape with an area.
+     */
+    export interface Shape {
+        /**
+         * Computes the area of the shape.
+         */
+        area(): number;
+    }
+
+    /**
+     * A circle, centered on the origin.
+     */
+    export class Circle implements Shape {
+        /**
+         * Creates a circle.
+         * @param radius The radius of the circle
+         */
+        constructor (public radius: number) {
+        }
+
+        /**
+         * Computes the area of the circle.
+         * @returns The area, in square units
+         */
+        public area() {
+            return Math.PI * this.radius * this.radius;
+        }
+
+        // Not a doc comment
+        public diameter() {
+            return 2 * this.radius;
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils");
+
+    var extensionPath = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath   = extensionPath + "/unittest-files",
+        docsPath      = extensionPath + "/unittest-files/docs.ts",
+        shapesPath    = extensionPath + "/unittest-files/shapes.ts";
+
+    describe("TypeScript Quick Docs", function () {
+
+        describe("getDocumentationAtPosition", function () {
+
+            var spec = TypeScriptSpecUtils.setupSession(docsPath);
+
+            it("should parse the description, @param and @returns sections", function () {
+                expect(spec.session.tsDoc.getDocumentationAtPosition({line: 11, ch: 10})).toEqual({
+                    name: "scale",
+                    type: "(circle: Shapes.Circle, factor: number) => Shapes.Circle",
+                    kind: "function",
+                    modifiers: [],
+                    containerName: "",
+                    scriptName: docsPath,
+                    range: {start: {line: 11, ch: 9}, end: {line: 11, ch: 14}},
+                    description: "Scales the given circle.\n\nThe circle itself is left unchanged.",
+                    params: [
+                        {name: "circle", description: "The circle to scale"},
+                        {name: "factor", description: "The scale factor, greater than zero"}
+                    ],
+                    returns: "A new circle"
+                });
+            });
+
+            it("should find the documentation of a symbol declared in a referenced file", function () {
+                var docs = spec.session.tsDoc.getDocumentationAtPosition({line: 19, ch: 20});
+                expect(docs.name).toBe("area");
+                expect(docs.containerName).toBe("Shapes.Circle");
+                expect(docs.scriptName).toBe(shapesPath);
+                expect(docs.range).toEqual({start: {line: 29, ch: 15}, end: {line: 29, ch: 19}});
+                expect(docs.description).toBe("Computes the area of the circle.");
+                expect(docs.returns).toBe("The area, in square units");
+            });
+
+            it("should find the documentation of a constructor", function () {
+                var docs = spec.session.tsDoc.getDocumentationAtPosition({line: 12, ch: 22});
+                expect(docs.kind).toBe("constructor");
+                expect(docs.description).toBe("Creates a circle.");
+                expect(docs.params).toEqual([{name: "radius", description: "The radius of the circle"}]);
+            });
+
+            it("should ignore the comments which are not doc comments", function () {
+                var docs = spec.session.tsDoc.getDocumentationAtPosition({line: 19, ch: 35});
+                expect(docs.name).toBe("diameter");
+                expect(docs.description).toBe("");
+                expect(docs.params).toEqual([]);
+                expect(docs.returns).toBe(null);
+            });
+
+            it("should not provide documentation out of a symbol", function () {
+                expect(spec.session.tsDoc.getDocumentationAtPosition({line: 4, ch: 3})).toBe(null);
+                expect(spec.session.tsDoc.getDocumentationAtPosition({line: 17, ch: 0})).toBe(null);
+            });
+        });
+
+        describe("inline docs widget", function () {
+
+            var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+            function openQuickDocs(pos) {
+                TypeScriptSpecUtils.openInTestWindow(test, docsPath, pos);
+
+                runs(function () {
+                    var testBrackets = test.testWindow.brackets,
+                        commandId = testBrackets.getModule("command/Commands").TOGGLE_QUICK_DOCS;
+                    waitsForDone(testBrackets.test.CommandManager.execute(commandId), commandId);
+                });
+            }
+
+            function getWidgetContent() {
+                return TypeScriptSpecUtils.getTestEditor(test).getInlineWidgets()[0].$htmlContent;
+            }
+
+            it("should render the signature and the doc comment sections of the symbol", function () {
+                openQuickDocs({line: 11, ch: 10});
+
+                runs(function () {
+                    var $content = getWidgetContent();
+                    expect($content.find(".ts-quick-docs-kind").text()).toBe("(function)");
+                    expect($content.find(".ts-quick-docs-signature b").text()).toBe("scale");
+                    expect($content.find(".ts-quick-docs-body > p").length).toBe(3);
+                    expect($content.find(".ts-quick-docs-params dt").map(function () {
+                        return test.testWindow.$(this).text();
+                    }).get()).toEqual(["circle", "factor"]);
+                    expect($content.find(".ts-quick-docs-returns").text()).toBe("A new circle");
+                });
+            });
+
+            it("should open the declaration when its file is clicked", function () {
+                openQuickDocs({line: 19, ch: 20});
+
+                runs(function () {
+                    getWidgetContent().find(".ts-quick-docs-file").click();
+                });
+
+                waitsFor(function () {
+                    return TypeScriptSpecUtils.getTestEditor(test).document.file.fullPath === shapesPath;
+                }, "Declaration not opened", 1000);
+
+                runs(function () {
+                    var selection = TypeScriptSpecUtils.getTestEditor(test).getSelection();
+                    expect(selection.start).toEqual({line: 29, ch: 15});
+                    expect(selection.end).toEqual({line: 29, ch: 19});
+                });
+            });
+        });
+    });
+});
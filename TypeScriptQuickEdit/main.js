@@ -29,6 +29,8 @@ define(function (require, exports, module) {
     "use strict";
     
     var AppInit                 = brackets.getModule("utils/AppInit"),
+        CommandManager          = brackets.getModule("command/CommandManager"),
+        Menus                   = brackets.getModule("command/Menus"),
         MultiRangeInlineEditor  = brackets.getModule("editor/MultiRangeInlineEditor").MultiRangeInlineEditor,
         FileIndexManager        = brackets.getModule("project/FileIndexManager"),
         EditorManager           = brackets.getModule("editor/EditorManager"),
@@ -37,7 +39,10 @@ define(function (require, exports, module) {
         FileUtils               = brackets.getModule("file/FileUtils"),
         Async                   = brackets.getModule("utils/Async"),
         TypeScriptUtils         = require("TypeScript/main").TypeScriptUtils,
-        TypeScriptService       = require("TypeScript/main").TypeScriptService;
+        TypeScriptService       = require("TypeScript/main").TypeScriptService,
+        TypeScriptNavigation    = require("TypeScript/main").TypeScriptNavigation;
+
+    var OPEN_REFERENCED_FILE_COMMAND_ID = "typescript.openReferencedFile";
     
     /**
      * @private
@@ -71,10 +76,54 @@ define(function (require, exports, module) {
         return result.promise();
     }
     
+    /**
+     * Creates an inline editor showing the top-level declarations of the file referenced
+     * by the given reference directive, or the whole file if it has no declaration.
+     * @param {!Editor} hostEditor
+     * @param {!TypeScriptDocument} hostTsDoc
+     * @param {!{relativePath: string, fullPath: string}} reference
+     * @return {$.Promise} a promise that will be resolved with an InlineWidget
+     * @private
+     */
+    function _createReferenceInlineEditor(hostEditor, hostTsDoc, reference) {
+        var result = new $.Deferred();
+
+        DocumentManager.getDocumentForPath(reference.fullPath)
+            .done(function (doc) {
+                var ranges = hostTsDoc.getLexicalStructure(reference.fullPath).filter(function (item) {
+                    return item.containerName === "";
+                }).map(function (item) {
+                    return {
+                        document: doc,
+                        lineStart: item.declarationRange.start.line,
+                        lineEnd: item.declarationRange.end.line,
+                        name: item.name
+                    };
+                });
+                if (ranges.length === 0) {
+                    ranges.push({
+                        document: doc,
+                        lineStart: 0,
+                        lineEnd: doc.getText().split("\n").length - 1,
+                        name: reference.relativePath
+                    });
+                }
+                var jsInlineEditor = new MultiRangeInlineEditor(ranges);
+                jsInlineEditor.load(hostEditor);
+                result.resolve(jsInlineEditor);
+            })
+            .fail(function (error) {
+                result.reject(error);
+            });
+
+        return result.promise();
+    }
+
     /**
      * This function is registered with EditorManager as an inline editor provider. It creates an inline editor
      * when the cursor is on a TypeScript function name, finds all functions that match the name
-     * and shows (one/all of them) in an inline editor.
+     * and shows (one/all of them) in an inline editor. On a reference directive line, it shows
+     * the referenced file instead.
      *
      * @param {!Editor} editor
      * @param {!{line:Number, ch:Number}} pos
@@ -95,6 +144,23 @@ define(function (require, exports, module) {
 
         TypeScriptService.getSession(hostEditor.document).done(function (session) {
             var hostTsDoc = session.tsDoc;
+            var reference = hostTsDoc.getReferenceAtLine(sel.start.line);
+            if (reference) {
+                // Cancel if the referenced file can't be found
+                if (!session.isAttached(reference.fullPath)) {
+                    result.reject();
+                    return;
+                }
+                _createReferenceInlineEditor(hostEditor, hostTsDoc, reference)
+                    .done(function (inlineEditor) {
+                        result.resolve(inlineEditor);
+                    })
+                    .fail(function (error) {
+                        result.reject(error);
+                    });
+                return;
+            }
+
             var symbol = hostTsDoc.getSymbolAtPosition(sel.start);
             var declInfo = hostTsDoc.getDeclarationInfo(symbol);
             // Cancel if there is no declaration associated to the current selection
@@ -123,10 +189,47 @@ define(function (require, exports, module) {
         return result;
     }
 
+    /**
+     * Opens in the main editor the file referenced by the reference directive at the
+     * cursor line of the focused editor.
+     * @returns {$.Promise} A promise object that will be resolved with the editor of
+     *      the referenced file, or rejected if there is no reference directive.
+     */
+    function openReferencedFile() {
+        var result = new $.Deferred(),
+            editor = TypeScriptUtils.getTypeScriptEditor();
+
+        if (!editor) {
+            return result.reject().promise();
+        }
+
+        TypeScriptService.getSession(editor.document).done(function (session) {
+            var reference = session.tsDoc.getReferenceAtLine(editor.getCursorPos().line);
+            if (!reference) {
+                result.reject();
+                return;
+            }
+            TypeScriptNavigation.goTo(reference.fullPath, {line: 0, ch: 0})
+                .done(function (referencedEditor) {
+                    result.resolve(referencedEditor);
+                })
+                .fail(function (error) {
+                    result.reject(error);
+                });
+        });
+        return result.promise();
+    }
+
     AppInit.appReady(function () {
         EditorManager.registerInlineEditProvider(typeScriptFunctionProvider);
 
+        CommandManager.register("Open Referenced File", OPEN_REFERENCED_FILE_COMMAND_ID, openReferencedFile);
+        Menus.getMenu(Menus.AppMenuBar.NAVIGATE_MENU).addMenuItem(OPEN_REFERENCED_FILE_COMMAND_ID);
+
         // For unit testing
         exports.typeScriptFunctionProvider = typeScriptFunctionProvider;
     });
+
+    // Define public API
+    exports.openReferencedFile = openReferencedFile;
 });
@@ -1,4 +1,4 @@
-///<reference path='test1inline.ts'/>
+///<reference path='test1{{80}}inline.ts'/>
 
 {{31}}function func3() {
     // comment
@@ -294,6 +294,33 @@ define(function (require, exports, module) {
             it("should open a class method", function () {
                 _inlineTest(70, "test1main.ts", "test1inline.ts");
             });
+
+            it("should open the top-level declarations of a referenced file", function () {
+                initInlineTest("test1main.ts", 80);
+
+                runs(function () {
+                    var inlineWidget = EditorManager.getCurrentFullEditor().getInlineWidgets()[0],
+                        inlineEditor = inlineWidget.editors[0];
+
+                    expect(inlineEditor.document.file.fullPath).toBe(tempPath + "/test1inline.ts");
+                    expect(inlineEditor.getCursorPos()).toEqual(this.infos["test1inline.ts"].offsets[11]);
+                });
+            });
+
+            it("should open a referenced file in the main editor with the Open Referenced File command", function () {
+                initInlineTest("test1main.ts");
+
+                runs(function () {
+                    EditorManager.getCurrentFullEditor().setCursorPos(0, 5);
+                    waitsForDone(CommandManager.execute("typescript.openReferencedFile"), "typescript.openReferencedFile");
+                });
+
+                runs(function () {
+                    var editor = EditorManager.getCurrentFullEditor();
+                    expect(editor.document.file.fullPath).toBe(tempPath + "/test1inline.ts");
+                    expect(editor.getCursorPos()).toEqual({line: 0, ch: 0});
+                });
+            });
         });
         
     });
@@ -0,0 +1,209 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var DocumentManager   = brackets.getModule("document/DocumentManager"),
+        FileIndexManager  = brackets.getModule("project/FileIndexManager"),
+        ProjectManager    = brackets.getModule("project/ProjectManager"),
+        TypeScriptService = require("TypeScript/main").TypeScriptService;
+
+    /**
+     * Promise of the current indexing of the project, if any.
+     * @type {?$.Promise}
+     * @private
+     */
+    var _indexingPromise = null;
+
+    /**
+     * TypeScriptDocument containing the typescript files of the project attached to
+     * no session at the last indexing. It is replaced by each indexing.
+     * @type {?TypeScriptDocument}
+     * @private
+     */
+    var _index = null;
+
+    /**
+     * Full paths of the files in the last project index, or null if the project
+     * must be indexed again.
+     * @type {?Array.<string>}
+     * @private
+     */
+    var _indexedPaths = null;
+
+    /**
+     * Number of times the project index has been invalidated, to tell whether the
+     * files have changed during an indexing.
+     * @type {number}
+     * @private
+     */
+    var _invalidationCount = 0;
+
+    /**
+     * Get a typescript-quick-open-specific event name
+     */
+    function eventName(name) {
+        var EVENT_TAG = "brackets-typescript-quick-open";
+        return name + "." + EVENT_TAG;
+    }
+
+    /**
+     * Returns whether the file at the given full path is attached to a session.
+     * @param {!string} fullPath
+     * @returns {boolean}
+     * @private
+     */
+    function _isAttached(fullPath) {
+        return TypeScriptService.getSessions().some(function (session) {
+            return session.isAttached(fullPath);
+        });
+    }
+
+    /**
+     * Returns the declarations of all the scripts of all the sessions, and of the
+     * scripts of the last project index which are still attached to no session. A
+     * script attached to several sessions provides its declarations once.
+     * @returns {Array.<{name: string, kind: string, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}, scriptName: string}>}
+     */
+    function getWorkspaceSymbols() {
+        var symbols = [],
+            keys = {};
+
+        function addSymbols(tsDoc, filterFn) {
+            tsDoc.getNavigateToItems("").forEach(function (item) {
+                var key = item.scriptName + ":" + item.range.start.line + ":" + item.range.start.ch;
+                if (!keys.hasOwnProperty(key) && filterFn(item)) {
+                    keys[key] = true;
+                    symbols.push({
+                        name: item.name,
+                        kind: item.kind,
+                        containerName: item.containerName,
+                        range: item.range,
+                        scriptName: item.scriptName
+                    });
+                }
+            });
+        }
+
+        TypeScriptService.getSessions().forEach(function (session) {
+            addSymbols(session.tsDoc, function () {
+                return true;
+            });
+        });
+        if (_index) {
+            // The sessions have the up to date declarations of their scripts
+            addSymbols(_index, function (item) {
+                return !_isAttached(item.scriptName);
+            });
+        }
+        return symbols;
+    }
+
+    /**
+     * Indexes the typescript files of the current project which are not attached to
+     * any session, so that their declarations become part of the workspace symbols.
+     * They are all put in a single index, replacing the previous one. The index is
+     * kept until the project files change: it is built again only if a file has been
+     * added, deleted, renamed or saved since. Only one indexing runs at a time.
+     * @returns {$.Promise} A promise object that will be resolved when the project
+     *      is indexed, with whether the index has been built again.
+     */
+    function indexProject() {
+        if (_indexingPromise) {
+            return _indexingPromise;
+        }
+
+        var result = new $.Deferred();
+        _indexingPromise = result.promise();
+        result.always(function () {
+            _indexingPromise = null;
+        });
+
+        FileIndexManager.getFileInfoList("all").done(function (fileInfos) {
+            var fullPaths = fileInfos.map(function (fileInfo) {
+                return fileInfo.fullPath;
+            }).filter(function (fullPath) {
+                return (/\.ts$/i).test(fullPath) && !_isAttached(fullPath);
+            });
+
+            // The files attached since the last indexing are filtered out of the index
+            var isUpToDate = _indexedPaths && fullPaths.every(function (fullPath) {
+                return _indexedPaths.indexOf(fullPath) !== -1;
+            });
+            if (isUpToDate) {
+                result.resolve(false);
+                return;
+            }
+
+            var invalidationCount = _invalidationCount;
+            TypeScriptService.createIndex(fullPaths).done(function (tsDoc) {
+                _index = tsDoc;
+                _indexedPaths = (invalidationCount === _invalidationCount) ? fullPaths : null;
+                result.resolve(true);
+            }).fail(function (error) {
+                result.reject(error);
+            });
+        }).fail(function (error) {
+            result.reject(error);
+        });
+        return result.promise();
+    }
+
+    /**
+     * Makes the next indexing build the project index again.
+     * @private
+     */
+    function _invalidateIndex() {
+        _indexedPaths = null;
+        _invalidationCount++;
+    }
+
+    /**
+     * When a typescript file is saved, its declarations in the project index may be
+     * outdated.
+     * @param event
+     * @param {!Document} doc
+     * @private
+     */
+    function _handleDocumentSaved(event, doc) {
+        if ((/\.ts$/i).test(doc.file.fullPath)) {
+            _invalidateIndex();
+        }
+    }
+
+    // Index the project again when its files change
+    $(ProjectManager).on(eventName("projectOpen"), _invalidateIndex);
+    $(DocumentManager).on(eventName("pathDeleted"), _invalidateIndex);
+    $(DocumentManager).on(eventName("fileNameChange"), _invalidateIndex);
+    $(DocumentManager).on(eventName("documentSaved"), _handleDocumentSaved);
+
+    // Define public API
+    exports.getWorkspaceSymbols = getWorkspaceSymbols;
+    exports.indexProject        = indexProject;
+});
@@ -0,0 +1,263 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, brackets, $ */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var EditorManager        = brackets.getModule("editor/EditorManager"),
+        QuickOpen            = brackets.getModule("search/QuickOpen"),
+        StringUtils          = brackets.getModule("utils/StringUtils"),
+        ExtensionUtils       = brackets.getModule("utils/ExtensionUtils"),
+        TypeScriptService    = require("TypeScript/main").TypeScriptService,
+        TypeScriptNavigation = require("TypeScript/main").TypeScriptNavigation,
+        WorkspaceSymbols     = require("TypeScriptQuickOpen/WorkspaceSymbols");
+
+    /**
+     * The kinds of declarations listed by the "@" quick open plugin.
+     * @type {Object.<string, boolean>}
+     */
+    var SYMBOL_KINDS = {
+        "module": true,
+        "class": true,
+        "interface": true,
+        "method": true,
+        "property": true
+    };
+
+    /**
+     * Returns the modules, classes, interfaces, methods and properties declared in
+     * the given session main script.
+     * @param {!TypeScriptSession} session
+     * @returns {Array.<{name: string, kind: string, containerName: string, range: {start: {line: number, ch: number}, end: {line: number, ch: number}}}>}
+     */
+    function getSymbolList(session) {
+        return session.tsDoc.getLexicalStructure().filter(function (item) {
+            return SYMBOL_KINDS.hasOwnProperty(item.kind);
+        }).map(function (item) {
+            return {
+                name: item.name,
+                kind: item.kind,
+                containerName: item.containerName,
+                range: item.range
+            };
+        });
+    }
+
+    /**
+     * Returns the symbols of the current session matching the given query. The
+     * symbol list is computed once per quick open search and kept on the matcher.
+     * @param {!string} query The query, starting with "@"
+     * @param {!StringMatcher} matcher
+     * @returns {Array.<SearchResult>}
+     */
+    function search(query, matcher) {
+        var symbolList = matcher.typeScriptSymbolList;
+        if (!symbolList) {
+            var session = TypeScriptService.getCurrentSession();
+            symbolList = session ? getSymbolList(session) : [];
+            matcher.typeScriptSymbolList = symbolList;
+        }
+
+        query = query.slice(query.indexOf("@") + 1);
+        var results = $.map(symbolList, function (symbol) {
+            var searchResult = matcher.match(symbol.name, query);
+            if (searchResult) {
+                searchResult.symbol = symbol;
+            }
+            return searchResult;
+        });
+        QuickOpen.basicMatchSort(results);
+        return results;
+    }
+
+    /**
+     * Returns whether the given query is a symbol query.
+     * @param {!string} query
+     * @returns {boolean}
+     */
+    function match(query) {
+        return query[0] === "@";
+    }
+
+    /**
+     * Selects the name of the symbol of the given search result in the main editor.
+     * @param {?SearchResult} selectedItem
+     */
+    function itemFocus(selectedItem) {
+        var editor = EditorManager.getCurrentFullEditor();
+        if (!selectedItem || !editor) {
+            return;
+        }
+        var range = selectedItem.symbol.range;
+        editor.setSelection(range.start, range.end, true);
+    }
+
+    /**
+     * Returns the html of the given search result, showing the symbol kind and
+     * container name beside its highlighted name.
+     * @param {!SearchResult} item
+     * @returns {string}
+     * @private
+     */
+    function _formatSymbol(item) {
+        var symbol = item.symbol,
+            html = "<span class='ts-quick-open-kind'>" + StringUtils.htmlEscape(symbol.kind) + "</span>" +
+                QuickOpen.highlightMatch(item);
+
+        if (symbol.containerName) {
+            html += "<span class='ts-quick-open-container'>" + StringUtils.htmlEscape(symbol.containerName) +
+                "</span>";
+        }
+        return html;
+    }
+
+    /**
+     * Returns the list item of the given search result.
+     * @param {!SearchResult} item
+     * @returns {string}
+     */
+    function resultsFormatter(item) {
+        return "<li>" + _formatSymbol(item) + "</li>";
+    }
+
+    /**
+     * Query of the last workspace symbol search while the quick open dialog is open.
+     * @type {?string}
+     * @private
+     */
+    var _workspaceQuery = null;
+
+    /**
+     * Returns the declarations of the whole workspace fuzzily matching the given
+     * query, best matches first. The first search of a quick open session makes sure
+     * the project is indexed: the declarations are listed again if the project index
+     * had to be built, and each time sessions have been added since the previous search.
+     * @param {!string} query The query, starting with "#"
+     * @param {!StringMatcher} matcher
+     * @returns {Array.<SearchResult>}
+     */
+    function searchWorkspace(query, matcher) {
+        var sessionCount = TypeScriptService.getSessions().length;
+        if (!matcher.typeScriptIndexing) {
+            matcher.typeScriptIndexing = WorkspaceSymbols.indexProject().done(function (isRebuilt) {
+                if (!isRebuilt) {
+                    return;
+                }
+                matcher.typeScriptWorkspaceSymbols = null;
+                // Search again if the dialog is still open
+                if (_workspaceQuery !== null) {
+                    QuickOpen.beginSearch("#", _workspaceQuery.slice(_workspaceQuery.indexOf("#") + 1));
+                }
+            });
+        }
+        if (!matcher.typeScriptWorkspaceSymbols || matcher.typeScriptSessionCount !== sessionCount) {
+            matcher.typeScriptWorkspaceSymbols = WorkspaceSymbols.getWorkspaceSymbols();
+            matcher.typeScriptSessionCount = sessionCount;
+        }
+        _workspaceQuery = query;
+
+        query = query.slice(query.indexOf("#") + 1);
+        var results = $.map(matcher.typeScriptWorkspaceSymbols, function (symbol) {
+            var searchResult = matcher.match(symbol.name, query);
+            if (searchResult) {
+                searchResult.symbol = symbol;
+            }
+            return searchResult;
+        });
+        QuickOpen.basicMatchSort(results);
+        return results;
+    }
+
+    /**
+     * Returns whether the given query is a workspace symbol query.
+     * @param {!string} query
+     * @returns {boolean}
+     */
+    function matchWorkspace(query) {
+        var isWorkspaceQuery = query[0] === "#";
+        // Don't search again the workspace once another kind of search is made
+        if (!isWorkspaceQuery) {
+            _workspaceQuery = null;
+        }
+        return isWorkspaceQuery;
+    }
+
+    /**
+     * Opens the file declaring the symbol of the given search result and selects
+     * its name.
+     * @param {?SearchResult} selectedItem
+     */
+    function workspaceItemSelect(selectedItem) {
+        if (!selectedItem) {
+            return;
+        }
+        var symbol = selectedItem.symbol;
+        TypeScriptNavigation.goTo(symbol.scriptName, symbol.range.start, symbol.range.end);
+    }
+
+    /**
+     * Returns the list item of the given workspace search result, showing also the
+     * name of the file declaring the symbol.
+     * @param {!SearchResult} item
+     * @returns {string}
+     */
+    function workspaceResultsFormatter(item) {
+        var scriptName = item.symbol.scriptName;
+        return "<li>" + _formatSymbol(item) + "<span class='ts-quick-open-file'>" +
+            StringUtils.htmlEscape(scriptName.substr(scriptName.lastIndexOf("/") + 1)) + "</span></li>";
+    }
+
+    ExtensionUtils.loadStyleSheet(module, "styles.css");
+
+    QuickOpen.addQuickOpenPlugin({
+        name: "TypeScript symbols",
+        fileTypes: ["ts"],
+        done: function () {},
+        search: search,
+        match: match,
+        itemFocus: itemFocus,
+        itemSelect: itemFocus,
+        resultsFormatter: resultsFormatter
+    });
+
+    QuickOpen.addQuickOpenPlugin({
+        name: "TypeScript workspace symbols",
+        fileTypes: [],
+        done: function () {
+            _workspaceQuery = null;
+        },
+        search: searchWorkspace,
+        match: matchWorkspace,
+        itemFocus: function () {},
+        itemSelect: workspaceItemSelect,
+        resultsFormatter: workspaceResultsFormatter
+    });
+
+    // Define public API
+    exports.getSymbolList = getSymbolList;
+});
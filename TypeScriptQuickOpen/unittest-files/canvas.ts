@@ -0,0 +1,5 @@
+///<reference path='geometry.ts'/>
+
+class Canvas {
+    shapes: Geometry.Shape[] = [];
+}
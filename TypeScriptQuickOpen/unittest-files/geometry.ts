@@ -0,0 +1,26 @@
+module Geometry {
+    export interface Shape {
+        area(): number;
+    }
+
+    export class Square implements Shape {
+        size: number;
+
+        area() {
+            return this.size * this.size;
+        }
+    }
+
+    function helper() {
+    }
+}
+
+class Drawing {
+    static count = 0;
+
+    constructor(public name: string) {
+    }
+}
+
+function draw() {
+}
@@ -0,0 +1,227 @@
+/*
+ * Copyright (c) 2012 Adobe Systems Incorporated. All rights reserved.
+ *  
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"), 
+ * to deal in the Software without restriction, including without limitation 
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense, 
+ * and/or sell copies of the Software, and to permit persons to whom the 
+ * Software is furnished to do so, subject to the following conditions:
+ *  
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *  
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY, 
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER 
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING 
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER 
+ * DEALINGS IN THE SOFTWARE.
+ * 
+ */
+
+
+/*jslint vars: true, plusplus: true, devel: true, browser: true, nomen: true, indent: 4, maxerr: 50 */
+/*global define, describe, it, xit, expect, beforeEach, afterEach, waitsFor, runs, spyOn, $, brackets, waitsForDone */
+
+
+define(function (require, exports, module) {
+    "use strict";
+
+    var FileUtils           = brackets.getModule("file/FileUtils"),
+        TypeScriptSpecUtils = require("TypeScript/TypeScriptSpecUtils"),
+        TypeScriptQuickOpen = require("TypeScriptQuickOpen/main"),
+        WorkspaceSymbols    = require("TypeScriptQuickOpen/WorkspaceSymbols");
+
+    var extensionPath = FileUtils.getNativeModuleDirectoryPath(module),
+        projectPath   = extensionPath + "/unittest-files",
+        geometryPath  = extensionPath + "/unittest-files/geometry.ts",
+        canvasPath    = extensionPath + "/unittest-files/canvas.ts";
+
+    describe("TypeScript Quick Open", function () {
+
+        var spec = TypeScriptSpecUtils.setupSession(geometryPath);
+
+        describe("getLexicalStructure", function () {
+
+            it("should list all the declarations with the range of their name", function () {
+                var structure = spec.session.tsDoc.getLexicalStructure();
+                expect(structure.length).toBe(12);
+                expect(structure[1]).toEqual({
+                    name: "Shape",
+                    kind: "interface",
+                    modifiers: ["export"],
+                    containerName: "Geometry",
+                    containerKind: "module",
+                    range: {start: {line: 1, ch: 21}, end: {line: 1, ch: 26}},
+                    declarationRange: {start: {line: 1, ch: 4}, end: {line: 3, ch: 5}}
+                });
+                expect(structure[8].modifiers).toEqual([]);
+                expect(structure[9].kind).toBe("constructor");
+                expect(structure[10].name).toBe("name");
+                expect(structure[10].range.start).toEqual({line: 20, ch: 23});
+            });
+        });
+
+        describe("getSymbolList", function () {
+
+            it("should list the modules, classes, interfaces, methods and properties", function () {
+                var symbols = TypeScriptQuickOpen.getSymbolList(spec.session);
+                expect(symbols.map(function (symbol) {
+                    return symbol.name;
+                })).toEqual(["Geometry", "Shape", "area", "Square", "size", "area", "Drawing", "count", "name"]);
+            });
+
+            it("should provide the container names and the name ranges", function () {
+                var symbols = TypeScriptQuickOpen.getSymbolList(spec.session);
+                expect(symbols[0].containerName).toBe("");
+                expect(symbols[5]).toEqual({
+                    name: "area",
+                    kind: "method",
+                    containerName: "Geometry.Square",
+                    range: {start: {line: 8, ch: 8}, end: {line: 8, ch: 12}}
+                });
+            });
+        });
+
+        describe("getNavigateToItems", function () {
+
+            it("should find the declarations matching a search value, with the kind of match", function () {
+                var items = spec.session.tsDoc.getNavigateToItems("are");
+                expect(items.length).toBe(3);
+                expect(items[0]).toEqual({
+                    name: "area",
+                    kind: "method",
+                    matchKind: "prefix",
+                    containerName: "Geometry.Shape",
+                    range: {start: {line: 2, ch: 8}, end: {line: 2, ch: 12}},
+                    scriptName: geometryPath
+                });
+                expect(items[1].name).toBe("Square");
+                expect(items[1].matchKind).toBe("substring");
+            });
+
+            it("should not list the scripts themselves", function () {
+                var items = spec.session.tsDoc.getNavigateToItems("");
+                expect(items.length).toBe(13);
+                expect(items.some(function (item) {
+                    return item.kind === "script";
+                })).toBe(false);
+            });
+        });
+
+        describe("getWorkspaceSymbols", function () {
+
+            beforeEach(function () {
+                TypeScriptSpecUtils.loadSession(canvasPath);
+            });
+
+            it("should list the declarations of all the sessions once", function () {
+                var symbols = WorkspaceSymbols.getWorkspaceSymbols().filter(function (symbol) {
+                    return symbol.scriptName === geometryPath || symbol.scriptName === canvasPath;
+                });
+                expect(symbols.length).toBe(15);
+                expect(symbols.filter(function (symbol) {
+                    return symbol.name === "Square";
+                }).length).toBe(1);
+            });
+
+            it("should provide the file declaring each symbol", function () {
+                var canvas = WorkspaceSymbols.getWorkspaceSymbols().filter(function (symbol) {
+                    return symbol.name === "Canvas";
+                });
+                expect(canvas).toEqual([{
+                    name: "Canvas",
+                    kind: "class",
+                    containerName: "",
+                    range: {start: {line: 2, ch: 6}, end: {line: 2, ch: 12}},
+                    scriptName: canvasPath
+                }]);
+            });
+        });
+    });
+
+    describe("TypeScript Quick Open dialog", function () {
+
+        var test = TypeScriptSpecUtils.setupTestWindow(projectPath);
+
+        function getResults() {
+            return test.testWindow.$(".smart_autocomplete_container li");
+        }
+
+        function findCanvas() {
+            return getResults().filter(function () {
+                return test.testWindow.$(this).find(".ts-quick-open-file").text() === "canvas.ts";
+            });
+        }
+
+        beforeEach(function () {
+            TypeScriptSpecUtils.openInTestWindow(test, geometryPath, {line: 0, ch: 0});
+        });
+
+        it("should list the symbols of the current file matching a \"@\" query", function () {
+            runs(function () {
+                test.testWindow.brackets.getModule("search/QuickOpen").beginSearch("@", "Squ");
+            });
+
+            waitsFor(function () {
+                return getResults().length > 0;
+            }, "Symbols not listed", 2000);
+
+            runs(function () {
+                var $first = getResults().first();
+                expect($first.text()).toContain("Square");
+                expect($first.find(".ts-quick-open-kind").text()).toBe("class");
+                expect($first.find(".ts-quick-open-container").text()).toBe("Geometry");
+            });
+        });
+
+        it("should list again the \"#\" query results once the project is indexed", function () {
+            runs(function () {
+                test.testWindow.brackets.getModule("search/QuickOpen").beginSearch("#", "Canv");
+            });
+
+            // canvas.ts has no session, its symbols come from the project index
+            waitsFor(function () {
+                return findCanvas().length > 0;
+            }, "Indexed symbols not listed", 10000);
+
+            runs(function () {
+                expect(findCanvas().first().text()).toContain("Canvas");
+            });
+        });
+
+        it("should reuse the project index in the next \"#\" searches", function () {
+            var extensionRequire,
+                TypeScriptService,
+                isRebuilt = null;
+
+            runs(function () {
+                extensionRequire = test.testWindow.brackets.getModule("utils/ExtensionLoader")
+                    .getRequireContextForExtension("TypeScriptCodeIntel");
+                TypeScriptService = test.extension.TypeScript.TypeScriptService;
+                spyOn(TypeScriptService, "createIndex").andCallThrough();
+
+                test.testWindow.brackets.getModule("search/QuickOpen").beginSearch("#", "Canv");
+            });
+
+            waitsFor(function () {
+                return findCanvas().length > 0;
+            }, "Indexed symbols not listed", 10000);
+
+            runs(function () {
+                // The next quick open session checks the index again
+                waitsForDone(extensionRequire("TypeScriptQuickOpen/WorkspaceSymbols").indexProject()
+                    .done(function (result) {
+                        isRebuilt = result;
+                    }), "indexing the project again");
+            });
+
+            runs(function () {
+                expect(isRebuilt).toBe(false);
+                expect(TypeScriptService.createIndex.callCount).toBe(1);
+            });
+        });
+    });
+});
@@ -28,7 +28,17 @@
 define(function (require, exports, module) {
     "use strict";
 
-    exports.TypeScript          = require("TypeScript/main");
-    exports.TypeScriptQuickEdit = require("TypeScriptQuickEdit/main");
-    exports.TypeScriptCodeHints = require("TypeScriptCodeHints/main");
+    exports.TypeScript               = require("TypeScript/main");
+    exports.TypeScriptQuickEdit      = require("TypeScriptQuickEdit/main");
+    exports.TypeScriptCodeHints      = require("TypeScriptCodeHints/main");
+    exports.TypeScriptDiagnostics    = require("TypeScriptDiagnostics/main");
+    exports.TypeScriptGoTo           = require("TypeScriptGoTo/main");
+    exports.TypeScriptFindReferences = require("TypeScriptFindReferences/main");
+    exports.TypeScriptOccurrences    = require("TypeScriptOccurrences/main");
+    exports.TypeScriptQuickOpen      = require("TypeScriptQuickOpen/main");
+    exports.TypeScriptOutline        = require("TypeScriptOutline/main");
+    exports.TypeScriptBreadcrumbs    = require("TypeScriptBreadcrumbs/main");
+    exports.TypeScriptHierarchy      = require("TypeScriptHierarchy/main");
+    exports.TypeScriptHover          = require("TypeScriptHover/main");
+    exports.TypeScriptQuickDocs      = require("TypeScriptQuickDocs/main");
 });
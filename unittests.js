@@ -28,6 +28,17 @@
 define(function (require, exports, module) {
     "use strict";
 
+    require("TypeScript/unittests");
     require("TypeScriptCodeHints/unittests");
     require("TypeScriptQuickEdit/unittests");
+    require("TypeScriptDiagnostics/unittests");
+    require("TypeScriptGoTo/unittests");
+    require("TypeScriptFindReferences/unittests");
+    require("TypeScriptOccurrences/unittests");
+    require("TypeScriptQuickOpen/unittests");
+    require("TypeScriptOutline/unittests");
+    require("TypeScriptBreadcrumbs/unittests");
+    require("TypeScriptHierarchy/unittests");
+    require("TypeScriptHover/unittests");
+    require("TypeScriptQuickDocs/unittests");
 });